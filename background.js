@@ -1,330 +1,631 @@
 // Live Tab Groups - Background Script
-// Manages dynamic tab groups from multiple providers
-
-const DEFAULTS = {
-  groups: {
-    "github-prs": {
-      enabled: true,
-      token: "",
-      queries: [
-        "is:pr is:open review-requested:@me",
-        "is:pr is:open assignee:@me",
-        "is:pr is:open mentions:@me",
-        "is:pr is:open author:@me"
-      ],
-      groupTitle: "GitHub PRs",
-      groupColor: "blue",
-      pollMinutes: 5,
-      closeMissing: true
-    }
+// Schedules syncs and reacts to browser events, settings changes and messages.
+// The syncing itself is done by the engine in sync.js.
+
+// Show on the toolbar button when the last sync of an enabled group failed
+async function updateBadge() {
+  const cfg = await getCfg();
+  const status = await getStatus();
+  // A failed query leaves no error, as the sync itself went through
+  const failed = cfg.groups.filter(g => g.enabled && (status[g.id]?.error || status[g.id]?.sources?.some(s => !s.ok)));
+  await browser.action.setBadgeBackgroundColor({ color: "#c50042" });
+  await browser.action.setBadgeText({ text: failed.length > 0 ? "!" : "" });
+  await browser.action.setTitle({
+    title: failed.length > 0
+      ? `Live Tab Groups: last sync failed for ${failed.map(g => g.groupTitle).join(", ")}`
+      : "Live Tab Groups"
+  });
+}
+
+// Sync scheduler. Runs for a group never overlap, so two runs can't open the
+// same tab: a request made while the group is syncing waits its turn, and
+// requests made while one is waiting share it. A waiting reconcile becomes a
+// full sync if one is requested. The group's settings are read when it runs.
+// The trigger says what asked for the run, for the sync log.
+const syncQueues = new Map();
+
+function requestSync(instanceId, { reconcileOnly = false, trigger = "manual" } = {}) {
+  let queue = syncQueues.get(instanceId);
+  if (!queue) {
+    queue = { running: null, next: null };
+    syncQueues.set(instanceId, queue);
   }
-};
 
-async function getCfg() {
-  const { cfg } = await browser.storage.local.get("cfg");
-  // Merge with defaults
-  const merged = { groups: {} };
-  for (const [providerId, defaultConfig] of Object.entries(DEFAULTS.groups)) {
-    merged.groups[providerId] = {
-      ...defaultConfig,
-      ...(cfg?.groups?.[providerId] || {})
-    };
+  if (queue.next) {
+    if (!reconcileOnly && queue.next.reconcileOnly) {
+      queue.next.reconcileOnly = false;
+      queue.next.trigger = trigger;
+    }
+    return queue.next.promise;
   }
-  return merged;
-}
 
-async function setCfg(cfg) {
-  await browser.storage.local.set({ cfg });
+  const next = { reconcileOnly, trigger };
+  next.promise = (queue.running || Promise.resolve()).catch(() => {}).then(async () => {
+    queue.next = null;
+    queue.running = next.promise;
+    try {
+      const config = (await getCfg()).groups.find(g => g.id === instanceId);
+      if (!config) throw new Error(`Group ${instanceId} not found`);
+      await syncGroup(config, { reconcileOnly: next.reconcileOnly, trigger: next.trigger });
+    } finally {
+      if (queue.running === next.promise) queue.running = null;
+    }
+  });
+  queue.next = next;
+  return next.promise;
 }
 
-// Get all registered providers
-function getProviders() {
-  return window.LiveTabGroupsProviders || {};
+// Sync enabled groups one after another, logging failures
+async function syncEach(groups, options) {
+  for (const config of groups) {
+    if (config.enabled) {
+      try {
+        await requestSync(config.id, options);
+      } catch (error) {
+        console.error(`[Live Tab Groups] Failed to sync ${config.id}:`, error);
+      }
+    }
+  }
 }
 
-// Get a specific provider by ID
-function getProvider(id) {
-  const providers = getProviders();
-  return providers[id] || null;
+// Sync all enabled groups
+async function syncAll(trigger = "manual") {
+  const cfg = await getCfg();
+  await syncEach(cfg.groups, { trigger });
 }
 
-// Find tab group by title in a window
-async function findGroupByTitle(title, windowId) {
-  const groups = await browser.tabGroups.query({ windowId });
-  const match = groups.find(g => g.title === title);
-  return match || null;
+// Sync every enabled group backed by the given provider
+async function syncProviderGroups(providerId) {
+  const cfg = await getCfg();
+  await syncEach(cfg.groups.filter(g => g.provider === providerId), { trigger: "push" });
 }
 
-// Find or return null if group doesn't exist
-async function findOrCreateGroup(windowId, title, color) {
-  // If group exists, update and return it
-  const existing = await findGroupByTitle(title, windowId);
-  if (existing) {
-    await browser.tabGroups.update(existing.id, { title, color });
-    return existing.id;
-  }
+// Fix group membership of every enabled group without hitting the network
+const reconcileAll = debounce(async () => {
+  const cfg = await getCfg();
+  await syncEach(cfg.groups, { reconcileOnly: true, trigger: "tabs" });
+}, 2000);
 
-  // Return null - group will be created when first tab is added
-  return null;
+// Providers that push their changes (e.g. bookmark events) instead of being polled
+for (const provider of Object.values(getProviders())) {
+  if (provider.subscribe) {
+    provider.subscribe(debounce(() => syncProviderGroups(provider.id), 1000));
+  }
 }
 
-// Find tabs matching specific URLs (with provider-specific normalization)
-async function tabsByExactUrls(urls, matchPattern, provider) {
-  const ghTabs = await browser.tabs.query({ url: [matchPattern] });
-
-  // Normalize the expected URLs if provider supports it
-  const normalizedExpected = new Set();
-  const normalizedToOriginal = new Map();
-  for (const url of urls) {
-    const normalized = provider.normalizeUrl ? provider.normalizeUrl(url) : url;
-    normalizedExpected.add(normalized);
-    normalizedToOriginal.set(normalized, url);
-  }
+// Groups that aren't polled are re-synced as soon as their settings change
+const pendingConfigSyncs = new Map();
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local" || !changes.cfg) return;
 
-  const map = new Map();
-  for (const t of ghTabs) {
-    if (!t.url) continue;
+  const oldGroups = migrateCfg(changes.cfg.oldValue).groups;
+  for (const group of migrateCfg(changes.cfg.newValue).groups) {
+    if (!group.enabled || isPolled(group)) continue;
 
-    // Normalize the tab URL for comparison
-    const normalized = provider.normalizeUrl ? provider.normalizeUrl(t.url) : t.url;
+    const old = oldGroups.find(g => g.id === group.id);
+    if (old && JSON.stringify(old) === JSON.stringify(group)) continue;
 
-    if (normalizedExpected.has(normalized)) {
-      // Log when we match a tab with a different sub-path
-      if (provider.normalizeUrl && normalized !== t.url) {
-        console.log(`[Live Tab Groups] Matched tab at sub-path: ${t.url} → ${normalized}`);
+    clearTimeout(pendingConfigSyncs.get(group.id));
+    pendingConfigSyncs.set(group.id, setTimeout(async () => {
+      pendingConfigSyncs.delete(group.id);
+      try {
+        await requestSync(group.id, { trigger: "settings" });
+      } catch (error) {
+        console.error(`[Live Tab Groups] Failed to sync ${group.id}:`, error);
       }
+    }, 1000));
+  }
+});
 
-      // Map back to the original URL from our list
-      const originalUrl = normalizedToOriginal.get(normalized);
-      map.set(originalUrl, t);
-    }
+// Apply settings changed on another device
+const pullSettings = debounce(async () => {
+  try {
+    if (!(await isSettingsSyncEnabled()) || !(await pullSyncedCfg())) return;
+    await scheduleAlarms(await getCfg());
+  } catch (error) {
+    console.error("[Live Tab Groups] Failed to apply synced settings:", error);
   }
-  return map;
-}
+}, 2000);
 
-// Get tabs in a specific group
-async function tabsInGroup(groupId) {
-  return await browser.tabs.query({ groupId });
-}
+// Keep the toolbar badge in line with the groups' last syncs
+updateBadge();
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && (changes.status || changes.cfg)) updateBadge();
+});
 
-// Sync a single group provider
-async function syncGroup(providerId, config, windowId) {
-  const provider = getProvider(providerId);
-  if (!provider) {
-    console.error(`[Live Tab Groups] Provider ${providerId} not found`);
-    return;
-  }
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && Object.keys(changes).some(key => key === "cfg" || key.startsWith("group:"))) pullSettings();
+});
 
-  if (!config.enabled) {
-    console.log(`[Live Tab Groups] ${providerId} is disabled, skipping sync`);
-    return;
-  }
+// Extension installed/updated
+browser.runtime.onInstalled.addListener(async () => {
+  const cfg = await migrateCredentials(await getCfg());
+  await setCfg(cfg);
+  await syncAll("startup");
+  await scheduleAlarms(cfg);
+});
 
-  console.log(`[Live Tab Groups] Starting sync for ${providerId}`);
+// Browser started
+browser.runtime.onStartup.addListener(async () => {
+  if (await isSettingsSyncEnabled()) {
+    await pullSyncedCfg().catch(error => console.error("[Live Tab Groups] Failed to apply synced settings:", error));
+  }
+  await syncAll("startup");
+  await scheduleAlarms(await getCfg());
+});
 
-  try {
-    // Get active tabs to protect them from modifications
-    const activeTabs = await browser.tabs.query({ active: true, windowId });
-    const activeTabIds = new Set(activeTabs.map(t => t.id));
-    if (activeTabIds.size > 0) {
-      console.log(`[Live Tab Groups] Protecting ${activeTabIds.size} active tab(s) from modifications`);
-    }
+// Alarm triggered
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name.startsWith("sync-")) {
+    const groupId = alarm.name.replace("sync-", "");
+    const cfg = await getCfg();
+    const config = cfg.groups.find(g => g.id === groupId);
 
-    // Check if group exists (returns null if not)
-    let groupId = await findOrCreateGroup(windowId, config.groupTitle, config.groupColor);
-    console.log(`[Live Tab Groups] Group ID: ${groupId ? groupId : 'null (will create)'}`);
-
-    // Fetch URLs from provider
-    const urls = await provider.fetchUrls(config);
-    console.log(`[Live Tab Groups] Fetched ${urls.length} URLs from provider`);
-
-    // SAFEGUARD: If API returns 0 results but we have existing tabs, something might be wrong
-    // Don't close all tabs unless we're sure the API is working correctly
-    if (urls.length === 0 && groupId !== null) {
-      const existingTabs = await tabsInGroup(groupId);
-      if (existingTabs.length > 0) {
-        console.warn(`[Live Tab Groups] ⚠️ API returned 0 URLs but group has ${existingTabs.length} tabs. Skipping sync to prevent data loss. This might indicate an API error or auth issue.`);
-        return;
+    if (config && config.enabled) {
+      try {
+        await requestSync(groupId, { trigger: "alarm" });
+      } catch (err) {
+        console.error(`[Live Tab Groups] Alarm sync failed for ${groupId}:`, err);
       }
     }
+  }
+});
 
-    // Find existing tabs and determine what we need to create
-    const existingMap = await tabsByExactUrls(urls, provider.getTabMatchPattern(), provider);
-    console.log(`[Live Tab Groups] Found ${existingMap.size} existing tabs matching our URLs`);
+// Snooze a normalized URL in a group
+async function addSnooze(config, url, mode, item) {
+  const snoozes = await getGroupSnoozes(config.id);
+  snoozes[url] = makeSnooze(mode, config, item);
+  await setGroupSnoozes(config.id, snoozes);
+  console.log(`[Live Tab Groups] Snoozed ${url} in ${config.id} (${mode})`);
+}
 
-    const need = [];
-    for (const u of urls) {
-      if (!existingMap.has(u)) need.push(u);
+// Open tabs showing an item, matched by normalized URL
+async function tabsForItem(config, url) {
+  const provider = getProvider(config.provider);
+  const normalize = normalizerFor(provider, config);
+  const target = normalize(url);
+  const tabs = await browser.tabs.query({ url: [].concat(provider.getTabMatchPattern(config)) });
+  return tabs.filter(t => t.url && normalize(t.url) === target);
+}
+
+// Handlers for messages from the options page and popup. Each returns an
+// object merged into the { success: true } response.
+const messageHandlers = {
+  // What a sync would do right now, without doing it
+  async previewSync({ groupId }) {
+    const cfg = await getCfg();
+    const config = cfg.groups.find(g => g.id === groupId);
+    if (!config) throw new Error(`Group ${groupId} not found`);
+    return { plans: await previewSync(config) };
+  },
+
+  async approveClose({ groupId }) {
+    await approveClose(groupId);
+    return {};
+  },
+
+  // Keep a tab from ever being pruned, or stop keeping it
+  async setKept({ tabId, kept }) {
+    await setTabFlag("keptTabs", tabId, kept);
+    return {};
+  },
+
+  // Reopen tabs from the pruned history
+  async restorePruned({ ids }) {
+    await restorePruned(ids);
+    return {};
+  },
+
+  // Keep the tabs; the same tabs won't be asked about again
+  async declineClose({ groupId }) {
+    const pending = (await getPendingCloses())[groupId];
+    if (pending) {
+      await browser.notifications.clear(`close-${groupId}`);
+      await setPendingClose(groupId, { ...pending, declined: true });
     }
-    console.log(`[Live Tab Groups] Need to create ${need.length} new tabs`);
-
-    // Collect all tabs that should be in the group (excluding active tabs)
-    const allTabIds = Array.from(existingMap.values())
-      .filter(t => !activeTabIds.has(t.id))
-      .map(t => t.id);
-
-    // Create new tabs
-    const created = [];
-    for (const u of need) {
-      const t = await browser.tabs.create({ url: u, active: false, windowId });
-      created.push(t);
-      existingMap.set(u, t);
-      allTabIds.push(t.id);
+    return {};
+  },
+
+  async syncNow({ groupId }) {
+    if (groupId) {
+      await requestSync(groupId);
+    } else {
+      await syncAll();
     }
-    if (created.length > 0) {
-      console.log(`[Live Tab Groups] Created ${created.length} new tabs`);
+    return {};
+  },
+
+  // Pausing a group disables it until it is resumed
+  async setPaused({ groupId, paused }) {
+    const cfg = await getCfg();
+    const config = cfg.groups.find(g => g.id === groupId);
+    if (!config) throw new Error(`Group ${groupId} not found`);
+    config.enabled = !paused;
+    await setCfg(cfg);
+    await scheduleAlarms(cfg);
+    return {};
+  },
+
+  // Switch to the item's tab, opening it if needed
+  async focusItem({ groupId, url }) {
+    const cfg = await getCfg();
+    const config = cfg.groups.find(g => g.id === groupId);
+    if (!config) throw new Error(`Group ${groupId} not found`);
+
+    let [tab] = await tabsForItem(config, url);
+    if (tab) {
+      await browser.tabs.update(tab.id, { active: true });
+    } else {
+      tab = await browser.tabs.create({ url, windowId: await getFocusedWindowId() });
     }
+    await browser.windows.update(tab.windowId, { focused: true });
+    return {};
+  },
 
-    // If no group exists and we have tabs, create the group with all tabs at once
-    if (groupId === null && allTabIds.length > 0) {
-      console.log(`[Live Tab Groups] Creating new group with ${allTabIds.length} tabs`);
-      groupId = await browser.tabs.group({ tabIds: allTabIds, createProperties: { windowId } });
-      await browser.tabGroups.update(groupId, { title: config.groupTitle, color: config.groupColor });
-      console.log(`[Live Tab Groups] Group created with ID: ${groupId}`);
-    } else if (groupId !== null && allTabIds.length > 0) {
-      // Group exists - add tabs that aren't already in it
-      const tabsInExistingGroup = await tabsInGroup(groupId);
-      const alreadyInGroup = new Set(tabsInExistingGroup.map(t => t.id));
-      const tabsToAdd = allTabIds.filter(id => !alreadyInGroup.has(id));
-
-      if (tabsToAdd.length) {
-        console.log(`[Live Tab Groups] Adding ${tabsToAdd.length} tabs to existing group`);
-        await browser.tabs.group({ groupId, tabIds: tabsToAdd });
-      }
+  // Hide an item from its group and close its tab there. Mode is "hours",
+  // "activity" (until the item is updated) or "ignore".
+  async snoozeItem({ groupId, url, mode = "hours" }) {
+    const cfg = await getCfg();
+    const config = cfg.groups.find(g => g.id === groupId);
+    if (!config) throw new Error(`Group ${groupId} not found`);
+
+    const normalize = normalizerFor(getProvider(config.provider), config);
+    const status = (await getStatus())[groupId];
+    const item = (status?.items || []).find(i => normalize(i.url) === normalize(url));
+    await addSnooze(config, normalize(url), mode, item);
+
+    const groupIds = await instanceGroupIds(config.id);
+    const tabs = (await tabsForItem(config, url)).filter(t => groupIds.includes(t.groupId));
+    if (tabs.length > 0) {
+      await removeTabs(tabs.map(t => t.id));
+    }
+    return {};
+  },
+
+  // Bring back a snoozed or ignored item on the next sync
+  async unsnoozeItem({ groupId, url }) {
+    const snoozes = await getGroupSnoozes(groupId);
+    delete snoozes[url];
+    await setGroupSnoozes(groupId, snoozes);
+    await requestSync(groupId);
+    return {};
+  },
+
+  // Keep a URL in a group although no query returns it. The given tab joins
+  // the group right away, even if it's the active one.
+  async addExtra({ groupId, url, title, tabId }) {
+    const cfg = await getCfg();
+    const config = cfg.groups.find(g => g.id === groupId);
+    if (!config) throw new Error(`Group ${groupId} not found`);
+
+    const normalize = normalizerFor(getProvider(config.provider), config);
+    const extras = await getGroupExtras(groupId);
+    extras[normalize(url)] = { url, title, addedAt: Date.now() };
+    await setGroupExtras(groupId, extras);
+    console.log(`[Live Tab Groups] Added ${url} to ${groupId} by hand`);
+
+    const liveGroupId = (await getLiveGroups())[groupId];
+    if (tabId !== undefined && liveGroupId !== undefined) {
+      await browser.tabs.group({ groupId: liveGroupId, tabIds: [tabId] });
+    }
+    await requestSync(groupId, { reconcileOnly: true });
+    return {};
+  },
+
+  // Stop keeping a URL added by hand; the next sync prunes its tab as usual
+  async removeExtra({ groupId, url }) {
+    const extras = await getGroupExtras(groupId);
+    delete extras[url];
+    await setGroupExtras(groupId, extras);
+    return {};
+  },
+
+  // Credential writes from the options page, made here so they share the
+  // queue of the sign-in refreshes (see updateCredentials)
+  async setGroupCredentials({ groupId, creds }) {
+    await setGroupCredentials(groupId, creds);
+    return {};
+  },
+
+  async encryptCredentials({ passphrase }) {
+    await encryptCredentials(passphrase);
+    return {};
+  },
+
+  async decryptCredentials() {
+    await decryptCredentials();
+    return {};
+  },
+
+  // Collapse or expand every live group. Without `collapsed`, collapse them
+  // all unless they already are.
+  async setCollapsed({ collapsed }) {
+    const groups = [];
+    for (const groupId of Object.values(await getLiveGroups())) {
+      const group = await browser.tabGroups.get(groupId).catch(() => null);
+      if (group) groups.push(group);
+    }
+    const collapse = collapsed ?? groups.some(g => !g.collapsed);
+    for (const group of groups) {
+      await browser.tabGroups.update(group.id, { collapsed: collapse });
     }
+    return {};
+  }
+};
 
-    // Prune tabs not in list
-    if (config.closeMissing && groupId) {
-      const inGroup = await tabsInGroup(groupId);
+// Messages from the unsaved work content script
+browser.runtime.onMessage.addListener((message, sender) => {
+  if (message.action !== "setUnsavedWork" || !sender.tab) return;
+  setTabFlag("unsavedTabs", sender.tab.id, message.unsaved);
+});
 
-      // Normalize URLs for comparison
-      const keepNormalized = new Set();
-      for (const url of urls) {
-        const normalized = provider.normalizeUrl ? provider.normalizeUrl(url) : url;
-        keepNormalized.add(normalized);
-      }
+// Listen for messages from options page and popup
+browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = messageHandlers[message.action];
+  if (!handler) return;
+
+  handler(message)
+    .then(result => {
+      sendResponse({ success: true, ...result });
+    })
+    .catch(err => {
+      console.error(`[Live Tab Groups] ${message.action} failed:`, err);
+      sendResponse({ success: false, error: err.message });
+    });
+  return true; // Keep message channel open for async response
+});
 
-      // Only close tabs that have fully loaded URLs and don't match our list
-      // Never close active tabs
-      const toClose = inGroup.filter(t => {
-        if (!t.url || t.url === "about:blank") return false;
-        if (activeTabIds.has(t.id)) return false; // Skip active tabs
-        const normalized = provider.normalizeUrl ? provider.normalizeUrl(t.url) : t.url;
-        return !keepNormalized.has(normalized);
-      });
-
-      // Check if any active tabs were skipped
-      const skippedActive = inGroup.filter(t => {
-        if (!t.url || t.url === "about:blank") return false;
-        if (!activeTabIds.has(t.id)) return false;
-        const normalized = provider.normalizeUrl ? provider.normalizeUrl(t.url) : t.url;
-        return !keepNormalized.has(normalized);
-      });
-
-      if (skippedActive.length > 0) {
-        console.log(`[Live Tab Groups] Skipped closing ${skippedActive.length} active tab(s):`, skippedActive.map(t => t.url));
-      }
+// Unsaved comment detection on GitHub Enterprise Servers. The manifest's
+// content script only covers github.com, so the script is registered for the
+// other hosts of the groups once access to them has been granted.
+const UNSAVED_WORK_SCRIPT_ID = "unsaved-work-hosts";
+
+async function registerUnsavedWorkScripts() {
+  const matches = new Set();
+  for (const group of (await getCfg()).groups) {
+    const provider = getProvider(group.provider);
+    if (!group.enabled || !provider?.getUnsavedWorkMatches) continue;
+    const origins = provider.getHostPermissions(group);
+    if (origins.length === 0 || !(await browser.permissions.contains({ origins }))) continue;
+    provider.getUnsavedWorkMatches(group).forEach(match => matches.add(match));
+  }
 
-      if (toClose.length > 0) {
-        console.log(`[Live Tab Groups] Closing ${toClose.length} tabs no longer in query results`);
-        console.log(`[Live Tab Groups] Tabs to close:`, toClose.map(t => t.url));
+  const registered = await browser.scripting.getRegisteredContentScripts({ ids: [UNSAVED_WORK_SCRIPT_ID] });
+  if (registered.length > 0) {
+    await browser.scripting.unregisterContentScripts({ ids: [UNSAVED_WORK_SCRIPT_ID] });
+  }
+  if (matches.size > 0) {
+    await browser.scripting.registerContentScripts([{ id: UNSAVED_WORK_SCRIPT_ID, matches: [...matches], js: ["unsaved-work.js"] }]);
+  }
+}
 
-        // SAFEGUARD: If we're about to close ALL tabs, log a warning
-        if (toClose.length === inGroup.length) {
-          console.warn(`[Live Tab Groups] ⚠️ About to close ALL ${toClose.length} tabs in the group! This will delete the group.`);
-        }
+const updateUnsavedWorkScripts = debounce(() => {
+  registerUnsavedWorkScripts().catch(error => console.error("[Live Tab Groups] Failed to register the unsaved work script:", error));
+}, 500);
+updateUnsavedWorkScripts();
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.cfg) updateUnsavedWorkScripts();
+});
+browser.permissions.onAdded.addListener(updateUnsavedWorkScripts);
+browser.permissions.onRemoved.addListener(updateUnsavedWorkScripts);
+
+// Instance ID of the live group a browser tab group belongs to, if any
+async function instanceOfTabGroup(groupId) {
+  if (groupId === undefined || groupId === -1) return null;
+  const entry = Object.entries(await getLiveGroups()).find(([, id]) => id === groupId);
+  return entry ? entry[0].split("/")[0] : null;
+}
 
-        await browser.tabs.remove(toClose.map(t => t.id));
-      } else {
-        console.log(`[Live Tab Groups] No tabs need to be closed`);
-      }
+// Message for a tab strip menu item or keyboard command, handled by the same
+// messageHandlers as the options page and popup. Null if it doesn't apply to the tab.
+async function tabCommandMessage(command, tab) {
+  switch (command) {
+    case "keep-tab":
+      return { action: "setKept", tabId: tab.id, kept: !(await getTabFlags("keptTabs"))[tab.id] };
+    case "snooze-tab": {
+      const groupId = await instanceOfTabGroup(tab.groupId);
+      return groupId ? { action: "snoozeItem", groupId, url: tab.url, mode: "hours" } : null;
     }
+    case "sync-all":
+      return { action: "syncNow" };
+    case "collapse-all":
+      return { action: "setCollapsed", collapsed: true };
+    case "expand-all":
+      return { action: "setCollapsed", collapsed: false };
+    case "toggle-live-groups":
+      return { action: "setCollapsed" };
+    default:
+      if (command.startsWith("add-to:")) {
+        return { action: "addExtra", groupId: command.slice("add-to:".length), url: tab.url, title: tab.title, tabId: tab.id };
+      }
+      return null;
+  }
+}
 
-    console.log(`[Live Tab Groups] ✓ Sync completed successfully for ${providerId}`);
+async function runTabCommand(command, tab) {
+  const message = tab && await tabCommandMessage(command, tab);
+  if (!message) return;
+  try {
+    await messageHandlers[message.action](message);
   } catch (error) {
-    console.error(`[Live Tab Groups] ✗ Sync failed for ${providerId}:`, error);
-    throw error;
+    console.error(`[Live Tab Groups] ${command} failed:`, error);
   }
 }
 
-// Sync all enabled groups
-async function syncAll() {
+// Tab strip menu. "Add to live group" lists every group, so it's rebuilt
+// whenever the settings change.
+async function buildMenus() {
   const cfg = await getCfg();
+  await browser.menus.removeAll();
 
-  // Use current window
-  const [win] = await browser.windows.getAll({ populate: false, windowTypes: ["normal"] });
-  const windowId = win ? win.id : (await browser.windows.getCurrent()).id;
-
-  // Sync each enabled group
-  for (const [providerId, config] of Object.entries(cfg.groups)) {
-    if (config.enabled) {
-      try {
-        await syncGroup(providerId, config, windowId);
-      } catch (error) {
-        console.error(`[Live Tab Groups] Failed to sync ${providerId}:`, error);
-      }
-    }
+  browser.menus.create({ id: "add-to", title: "Add to live group", contexts: ["tab"], enabled: cfg.groups.length > 0 });
+  for (const group of cfg.groups) {
+    browser.menus.create({ id: `add-to:${group.id}`, parentId: "add-to", title: group.groupTitle || "Untitled group", contexts: ["tab"] });
   }
+  browser.menus.create({ id: "keep-tab", type: "checkbox", title: "Keep this tab", contexts: ["tab"] });
+  browser.menus.create({ id: "snooze-tab", title: "Snooze this item", contexts: ["tab"] });
+  browser.menus.create({ id: "separator", type: "separator", contexts: ["tab"] });
+  browser.menus.create({ id: "sync-all", title: "Sync all now", contexts: ["tab"] });
+  browser.menus.create({ id: "collapse-all", title: "Collapse all live groups", contexts: ["tab"] });
+  browser.menus.create({ id: "expand-all", title: "Expand all live groups", contexts: ["tab"] });
 }
 
-// Extension installed/updated
-browser.runtime.onInstalled.addListener(async () => {
-  const cfg = await getCfg();
-  await setCfg(cfg);
-  await syncAll();
+buildMenus();
+const rebuildMenus = debounce(buildMenus, 500);
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.cfg) rebuildMenus();
+});
 
-  // Set up alarms for each enabled group
-  for (const [providerId, config] of Object.entries(cfg.groups)) {
-    if (config.enabled) {
-      await browser.alarms.create(`sync-${providerId}`, { periodInMinutes: config.pollMinutes });
-    }
-  }
+// Show whether the tab is kept, and only offer snoozing tabs in a live group
+browser.menus.onShown.addListener(async (info, tab) => {
+  if (!info.contexts.includes("tab") || !tab) return;
+  const kept = Boolean((await getTabFlags("keptTabs"))[tab.id]);
+  const inLiveGroup = Boolean(await instanceOfTabGroup(tab.groupId));
+  await browser.menus.update("keep-tab", { checked: kept });
+  await browser.menus.update("snooze-tab", { enabled: inLiveGroup });
+  await browser.menus.refresh();
 });
 
-// Browser started
-browser.runtime.onStartup.addListener(async () => {
-  await syncAll();
-  const cfg = await getCfg();
+browser.menus.onClicked.addListener((info, tab) => runTabCommand(info.menuItemId, tab));
 
-  // Set up alarms for each enabled group
-  for (const [providerId, config] of Object.entries(cfg.groups)) {
-    if (config.enabled) {
-      await browser.alarms.create(`sync-${providerId}`, { periodInMinutes: config.pollMinutes });
-    }
+// Keyboard commands act on the active tab
+browser.commands.onCommand.addListener(async (command, tab) => {
+  const [active] = tab ? [tab] : await browser.tabs.query({ active: true, currentWindow: true });
+  await runTabCommand(command, active);
+});
+
+// Forget which live group a tab was in, see trackGroupTabs
+async function untrackTab(tabId) {
+  await updateStorage("session", "trackedTabs", (trackedTabs = {}) => {
+    if (!trackedTabs[tabId]) return undefined;
+    const next = { ...trackedTabs };
+    delete next[tabId];
+    return next;
+  });
+}
+
+// A tab the user closed in a live group would be reopened by the next sync
+// while its item is still in the results. Depending on the group's settings,
+// snooze the item instead.
+browser.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  await setTabFlag("keptTabs", tabId, false);
+  await setTabFlag("unsavedTabs", tabId, false);
+  if (closingTabIds.delete(tabId) || removeInfo.isWindowClosing) return;
+  reconcileAll();
+
+  const tracked = (await browser.storage.session.get("trackedTabs")).trackedTabs?.[tabId];
+  if (!tracked) return;
+  await untrackTab(tabId);
+
+  const cfg = await getCfg();
+  const config = cfg.groups.find(g => g.id === tracked.groupId);
+  if (!config) return;
+
+  // A tab added by hand leaves the group for good once it's closed
+  const extras = await getGroupExtras(config.id);
+  if (extras[tracked.url]) {
+    delete extras[tracked.url];
+    await setGroupExtras(config.id, extras);
+    return;
   }
+  if (config.onManualClose === "none") return;
+
+  // Only items still in the results would come back
+  const normalize = normalizerFor(getProvider(config.provider), config);
+  const status = (await getStatus())[config.id];
+  const item = (status?.items || []).find(i => normalize(i.url) === tracked.url);
+  if (!item) return;
+
+  await addSnooze(config, tracked.url, config.onManualClose, item);
 });
 
-// Alarm triggered
-browser.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name.startsWith("sync-")) {
-    const providerId = alarm.name.replace("sync-", "");
-    const cfg = await getCfg();
-    const config = cfg.groups[providerId];
+// A tab navigating to or away from an item may need to join or leave a group.
+// Its unsaved work was on the page it left; the new page reports its own.
+browser.tabs.onUpdated.addListener(async (tabId) => {
+  reconcileAll();
+  await setTabFlag("unsavedTabs", tabId, false);
+}, { properties: ["url"] });
 
-    if (config && config.enabled) {
-      const [win] = await browser.windows.getAll({ populate: false, windowTypes: ["normal"] });
-      const windowId = win ? win.id : (await browser.windows.getCurrent()).id;
+// Stop tracking tabs the user moves out of a live group
+browser.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (changeInfo.groupId === -1) await untrackTab(tabId);
+}, { properties: ["groupId"] });
 
-      try {
-        await syncGroup(providerId, config, windowId);
-      } catch (err) {
-        console.error(`[Live Tab Groups] Alarm sync failed for ${providerId}:`, err);
+// Bring "follow me" groups along to the window that gains focus
+browser.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === browser.windows.WINDOW_ID_NONE) return;
+  const win = await browser.windows.get(windowId);
+  if (win.type !== "normal") return;
+
+  const cfg = await getCfg();
+  for (const config of cfg.groups) {
+    if (!config.enabled || config.placement !== "follow") continue;
+
+    for (const groupId of await instanceGroupIds(config.id)) {
+      const group = await browser.tabGroups.get(groupId).catch(() => null);
+      if (group && group.windowId !== windowId) {
+        console.log(`[Live Tab Groups] Moving ${config.id} to focused window ${windowId}`);
+        await browser.tabGroups.move(group.id, { windowId, index: -1 });
       }
     }
   }
 });
 
-// Listen for messages from options page
-browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "syncNow") {
-    syncAll()
-      .then(() => {
-        sendResponse({ success: true });
-      })
-      .catch(err => {
-        console.error("[Live Tab Groups] Manual sync failed:", err);
-        sendResponse({ success: false, error: err.message });
-      });
-    return true; // Keep message channel open for async response
+// Forget groups that were closed, so the next sync starts a new one
+browser.tabGroups.onRemoved.addListener(async (group) => {
+  const liveGroups = await getLiveGroups();
+  for (const [instanceId, groupId] of Object.entries(liveGroups)) {
+    if (groupId === group.id) await setLiveGroup(instanceId, null);
   }
+  reconcileAll();
+});
+
+// Poll less while the user is away. On their return, groups that would have
+// been synced by now at the normal interval are caught up right away.
+browser.idle.setDetectionInterval(IDLE_SECONDS);
+browser.idle.onStateChanged.addListener(async (state) => {
+  const cfg = await getCfg();
+  await scheduleAlarms(cfg);
+  if (state !== "active") return;
+
+  const status = await getStatus();
+  const stale = cfg.groups.filter(g => isPolled(g) && g.slowWhenIdle &&
+    Date.now() - (status[g.id]?.lastSync || 0) > g.pollMinutes * 60000);
+  await syncEach(stale, { trigger: "idle" });
+});
+
+// Clicking the close confirmation opens the toolbar popup to approve or
+// decline it there; clicking the notice about closed tabs reopens them;
+// clicking an item update focuses the item's tab
+browser.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId.startsWith("item-")) {
+    const { itemNotifications = {} } = await browser.storage.session.get("itemNotifications");
+    const target = itemNotifications[notificationId];
+    try {
+      // The group may have been deleted since
+      if (target) await messageHandlers.focusItem(target);
+    } catch (error) {
+      console.error("[Live Tab Groups] Failed to focus the item:", error);
+    } finally {
+      await browser.notifications.clear(notificationId);
+    }
+  } else if (notificationId.startsWith("close-")) {
+    await browser.action.openPopup().catch(error => console.error("[Live Tab Groups] Failed to open the popup:", error));
+  } else if (notificationId.startsWith("pruned-")) {
+    const batch = notificationId.slice("pruned-".length);
+    const history = await getPruneHistory();
+    await restorePruned(history.filter(e => e.batch === batch).map(e => e.id));
+    await browser.notifications.clear(notificationId);
+  }
+});
+
+// Forget where item notifications lead once they're gone
+browser.notifications.onClosed.addListener(async (notificationId) => {
+  if (!notificationId.startsWith("item-")) return;
+  await updateStorage("session", "itemNotifications", (itemNotifications = {}) => {
+    if (!itemNotifications[notificationId]) return undefined;
+    const next = { ...itemNotifications };
+    delete next[notificationId];
+    return next;
+  });
 });
@@ -0,0 +1,487 @@
+// Live Tab Groups - Shared configuration and helpers
+// Loaded by both the background script and the options page, after the providers
+
+// Groups created on first install. Each group is an independent instance of a
+// provider with its own queries, title, color and schedule.
+const DEFAULT_GROUPS = [
+  { id: "github-prs", provider: "github-prs" }
+];
+
+// Settings every group has, whatever its provider
+const COMMON_DEFAULTS = {
+  sortBy: "none",
+  reviewRequestedFirst: false,
+  draftsLast: false,
+  titleSummary: false,
+  lazyLoad: false,
+  onManualClose: "none",
+  snoozeHours: 4,
+  placement: "home",
+  onManualEdit: "reapply",
+  slowWhenIdle: true,
+  confirmCloseOver: 0,
+  pruneAction: "close",
+  protectPinned: true,
+  protectAudible: true,
+  protectRecentMinutes: 10,
+  protectUnsaved: true,
+  splitBy: "none",
+  splitTitle: "{title}: {key}",
+  splitColors: [],
+  notifyReviewRequests: false,
+  notifyNewItems: false,
+  notifyReviewChanges: false,
+  notifyCiFailed: false,
+  notifyMerged: false
+};
+
+// Hours during which item notifications are dropped, as "HH:MM" times. The
+// range may run past midnight, e.g. 22:00 to 07:00.
+const DEFAULT_QUIET_HOURS = { enabled: false, start: "22:00", end: "07:00" };
+
+// Version of the settings format. Stored with the settings, exports and the
+// synced copy; bump it when migrateCfg learns a new migration.
+const CFG_VERSION = 1;
+
+const GROUP_COLORS = ["blue", "red", "green", "yellow", "purple", "cyan", "grey"];
+
+// The browser API and the providers the engine runs against: the extension's
+// own unless replaced with setEngineEnv, which the tests use to run it against
+// fakes. Everything here and in credentials.js and sync.js goes through it.
+const engineEnv = {
+  browser: globalThis.browser,
+  providers: null
+};
+
+function setEngineEnv(env) {
+  Object.assign(engineEnv, env);
+}
+
+// Get all registered providers
+function getProviders() {
+  return engineEnv.providers || window.LiveTabGroupsProviders || {};
+}
+
+// Get a specific provider by ID
+function getProvider(id) {
+  const providers = getProviders();
+  return providers[id] || null;
+}
+
+// Generate a unique ID for a new group instance
+function newGroupId() {
+  return `group-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// Bring a stored config up to date. Older versions keyed `groups` by provider
+// ID, which only allowed a single group per provider. Those groups keep the
+// provider ID as their instance ID so existing alarms keep working.
+function migrateCfg(cfg) {
+  if (!cfg || !cfg.groups) {
+    return { groups: DEFAULT_GROUPS.map(g => ({ ...g })) };
+  }
+
+  const groups = Array.isArray(cfg.groups)
+    ? cfg.groups
+    : Object.entries(cfg.groups).map(([providerId, config]) => ({ id: providerId, provider: providerId, ...config }));
+
+  return {
+    ...cfg,
+    version: CFG_VERSION,
+    groups: groups.map(group => {
+      // Handle old single query
+      if (group.query && !Array.isArray(group.queries)) {
+        const { query, ...rest } = group;
+        return { ...rest, queries: [query] };
+      }
+      return group;
+    })
+  };
+}
+
+// Fill in any settings the stored group is missing from the defaults
+function withDefaults(group) {
+  const provider = getProvider(group.provider);
+  const defaults = provider ? provider.getDefaultConfig() : {};
+  return { ...COMMON_DEFAULTS, ...defaults, ...group };
+}
+
+async function getCfg() {
+  const { cfg } = await engineEnv.browser.storage.local.get("cfg");
+  const migrated = migrateCfg(cfg);
+  return {
+    ...migrated,
+    quietHours: { ...DEFAULT_QUIET_HOURS, ...migrated.quietHours },
+    groups: migrated.groups.map(withDefaults)
+  };
+}
+
+// Whether a time falls within the quiet hours
+function inQuietHours(quietHours, now = new Date()) {
+  if (!quietHours || !quietHours.enabled) return false;
+  const minutes = time => {
+    const [hours, mins] = time.split(":").map(Number);
+    return hours * 60 + mins;
+  };
+  const current = now.getHours() * 60 + now.getMinutes();
+  const start = minutes(quietHours.start);
+  const end = minutes(quietHours.end);
+  return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+async function setCfg(cfg) {
+  await engineEnv.browser.storage.local.set({ cfg });
+  if (await isSettingsSyncEnabled()) {
+    try {
+      await writeSyncedCfg(cfg);
+    } catch (error) {
+      console.error("[Live Tab Groups] Failed to sync settings:", error);
+    }
+  }
+}
+
+// Settings that hold secrets, see isSecretField
+function secretKeys(group) {
+  const provider = getProvider(group.provider);
+  const fields = provider && provider.getConfigFields ? provider.getConfigFields() : [];
+  return fields.filter(isSecretField).map(f => f.key);
+}
+
+// Password fields, and fields a provider marks secret because they can carry
+// credentials, such as request headers
+function isSecretField(field) {
+  return field.type === "password" || Boolean(field.secret);
+}
+
+// Settings without their secrets, safe to export or sync
+function withoutSecrets(cfg) {
+  return {
+    ...cfg,
+    groups: cfg.groups.map(group => {
+      const rest = { ...group };
+      for (const key of secretKeys(group)) delete rest[key];
+      return rest;
+    })
+  };
+}
+
+// Settings can follow the user's Firefox account through storage.sync. The
+// local copy stays the one everything reads; the synced copy is kept as one
+// item per group to stay under the per-item quota:
+//   cfg: { version, groupIds }   group:<id>: the group's settings
+async function isSettingsSyncEnabled() {
+  const { settingsSync } = await engineEnv.browser.storage.local.get("settingsSync");
+  return Boolean(settingsSync);
+}
+
+async function readSyncedCfg() {
+  const stored = await engineEnv.browser.storage.sync.get(null);
+  if (!stored.cfg) return null;
+  const { groupIds = [], ...rest } = stored.cfg;
+  return { ...rest, groups: groupIds.map(id => stored[`group:${id}`]).filter(Boolean) };
+}
+
+// Write only the items that changed; storage.sync limits writes per minute
+async function writeSyncedCfg(cfg) {
+  const { groups, ...rest } = withoutSecrets(cfg);
+  const items = { cfg: { ...rest, version: CFG_VERSION, groupIds: groups.map(g => g.id) } };
+  for (const group of groups) items[`group:${group.id}`] = group;
+
+  const stored = await engineEnv.browser.storage.sync.get(null);
+  const changed = Object.fromEntries(Object.entries(items).filter(([key, value]) => JSON.stringify(stored[key]) !== JSON.stringify(value)));
+  const stale = Object.keys(stored).filter(key => key.startsWith("group:") && !(key in items));
+  if (Object.keys(changed).length > 0) await engineEnv.browser.storage.sync.set(changed);
+  if (stale.length > 0) await engineEnv.browser.storage.sync.remove(stale);
+}
+
+// Copy the synced settings over the local ones. Returns whether they changed.
+// Settings synced by a newer version are left alone.
+async function pullSyncedCfg() {
+  const synced = await readSyncedCfg();
+  if (!synced) return false;
+  if (synced.version > CFG_VERSION) {
+    console.warn("[Live Tab Groups] Synced settings are from a newer version, not applying them");
+    return false;
+  }
+
+  const { cfg } = await engineEnv.browser.storage.local.get("cfg");
+  const local = migrateCfg(cfg).groups;
+  const migrated = migrateCfg(synced);
+  // Secrets that haven't moved to the credentials store yet stay on this device
+  const next = {
+    ...migrated,
+    groups: migrated.groups.map(group => {
+      const old = local.find(g => g.id === group.id) || {};
+      const secrets = Object.fromEntries(secretKeys(group).filter(key => old[key]).map(key => [key, old[key]]));
+      return withDefaults({ ...group, ...secrets });
+    })
+  };
+  if (JSON.stringify(cfg) === JSON.stringify(next)) return false;
+
+  console.log("[Live Tab Groups] Applying settings synced from another device");
+  await engineEnv.browser.storage.local.set({ cfg: next });
+  return true;
+}
+
+// Turn syncing the settings on or off. When turning it on, settings already
+// synced from another device win over the local ones; otherwise the local
+// ones are uploaded.
+async function setSettingsSync(enabled) {
+  if (!enabled) {
+    await engineEnv.browser.storage.local.set({ settingsSync: false });
+    return;
+  }
+  if (!(await pullSyncedCfg()) && !(await readSyncedCfg())) {
+    await writeSyncedCfg(await getCfg());
+  }
+  await engineEnv.browser.storage.local.set({ settingsSync: true });
+}
+
+// Settings as a file to back up or share. Tokens are left out.
+const CFG_EXPORT_FORMAT = "live-tab-groups-settings";
+
+function exportCfg(cfg) {
+  return JSON.stringify({ format: CFG_EXPORT_FORMAT, version: CFG_VERSION, exportedAt: new Date().toISOString(), ...withoutSecrets(cfg) }, null, 2);
+}
+
+// Parse an exported settings file, throwing if it can't be used. Each group is
+// checked by its provider; tokens aren't in the file, so they are assumed to
+// be filled in afterwards.
+function parseCfgExport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON");
+  }
+  if (!data || data.format !== CFG_EXPORT_FORMAT || !Array.isArray(data.groups)) {
+    throw new Error("The file is not a Live Tab Groups settings export");
+  }
+  if (data.groups.some(group => !group || typeof group !== "object")) {
+    throw new Error("The file contains a group that isn't an object");
+  }
+  if (!Number.isInteger(data.version) || data.version > CFG_VERSION) {
+    throw new Error("The file was exported by a newer version of Live Tab Groups");
+  }
+
+  const { format, exportedAt, ...cfg } = data;
+  const migrated = migrateCfg(cfg);
+  const errors = [];
+  const groups = migrated.groups.map((group, index) => {
+    const name = group.groupTitle || `Group ${index + 1}`;
+    const provider = getProvider(group.provider);
+    if (!provider) {
+      errors.push(`${name}: unknown provider "${group.provider}"`);
+      return null;
+    }
+    const full = withDefaults({ ...group, id: typeof group.id === "string" ? group.id : newGroupId() });
+    const placeholders = Object.fromEntries(secretKeys(full).map(key => [key, "(not exported)"]));
+    const problems = provider.validateConfig ? provider.validateConfig({ ...full, ...placeholders }) : [];
+    errors.push(...problems.map(problem => `${name}: ${problem}`));
+    return withoutSecrets({ groups: [full] }).groups[0];
+  });
+  if (errors.length > 0) throw new Error(errors.join(". "));
+  return { ...migrated, groups };
+}
+
+// Change a stored value with update(value), which returns (or resolves to) the
+// new value or undefined to leave it as is. Values like the status hold an entry for every
+// group, and syncs of different groups run at the same time, so changes to the
+// same key are made one after another; otherwise one would undo another.
+const storageUpdates = new Map();
+
+function updateStorage(area, key, update) {
+  const queued = `${area}:${key}`;
+  const next = (storageUpdates.get(queued) || Promise.resolve()).catch(() => {}).then(async () => {
+    const { [key]: value } = await engineEnv.browser.storage[area].get(key);
+    const updated = await update(value);
+    if (updated !== undefined) await engineEnv.browser.storage[area].set({ [key]: updated });
+  });
+  storageUpdates.set(queued, next);
+  return next;
+}
+
+// Status of each group's last sync, keyed by group ID. Written by the
+// background script, shown on the options page.
+async function getStatus() {
+  const { status } = await engineEnv.browser.storage.local.get("status");
+  return status || {};
+}
+
+async function setGroupStatus(groupId, groupStatus) {
+  await updateStorage("local", "status", (status = {}) => ({ ...status, [groupId]: groupStatus }));
+}
+
+// Snoozed and ignored items, keyed by group ID and then normalized URL.
+// An entry is one of:
+//   { until }                             hidden until a point in time
+//   { untilActivity: true, updatedAt }    hidden until the item is updated again
+//   { ignored: true }                     hidden for good
+// Entries may also carry the item's title for display.
+async function getSnoozes() {
+  const { snoozes } = await engineEnv.browser.storage.local.get("snoozes");
+  return snoozes || {};
+}
+
+async function getGroupSnoozes(groupId) {
+  return (await getSnoozes())[groupId] || {};
+}
+
+async function setGroupSnoozes(groupId, groupSnoozes) {
+  await updateStorage("local", "snoozes", (snoozes = {}) => ({ ...snoozes, [groupId]: groupSnoozes }));
+}
+
+// Build a snooze entry. Snoozing until new activity needs the item's update
+// time; without one it falls back to the group's snooze duration.
+function makeSnooze(mode, config, item) {
+  const entry = { title: item?.title, createdAt: Date.now() };
+  if (mode === "ignore") {
+    return { ...entry, ignored: true, until: null };
+  }
+  if (mode === "activity" && item?.updatedAt) {
+    return { ...entry, untilActivity: true, updatedAt: item.updatedAt, until: null };
+  }
+  return { ...entry, until: Date.now() + config.snoozeHours * 60 * 60 * 1000 };
+}
+
+// Whether an item is hidden. Pass the item to lift snoozes on new activity.
+function isSnoozed(groupSnoozes, url, item = null, now = Date.now()) {
+  const snooze = groupSnoozes[url];
+  if (!snooze) return false;
+  if (snooze.ignored) return true;
+  if (snooze.untilActivity) {
+    return !(item?.updatedAt && item.updatedAt > snooze.updatedAt);
+  }
+  return snooze.until > now;
+}
+
+// Drop expired snoozes and those lifted by activity on the given items
+function activeSnoozes(groupSnoozes, items, normalize, now = Date.now()) {
+  const byUrl = new Map(items.map(item => [normalize(item.url), item]));
+  const active = {};
+  for (const [url, snooze] of Object.entries(groupSnoozes)) {
+    if (isSnoozed(groupSnoozes, url, byUrl.get(url), now)) active[url] = snooze;
+  }
+  return active;
+}
+
+// Tabs added to a group by hand, keyed by group ID and then normalized URL:
+//   { url, title, addedAt }
+// They are kept in the group like items, but no query needs to return them.
+async function getExtras() {
+  const { extras } = await engineEnv.browser.storage.local.get("extras");
+  return extras || {};
+}
+
+async function getGroupExtras(groupId) {
+  return (await getExtras())[groupId] || {};
+}
+
+async function setGroupExtras(groupId, groupExtras) {
+  await updateStorage("local", "extras", (extras = {}) => ({ ...extras, [groupId]: groupExtras }));
+}
+
+// Tabs the extension pruned from live groups, newest first. Each entry:
+//   { id, batch, url, title, tabId, sessionId, groupId, groupTitle, action, reason, prunedAt, restoredAt }
+// where action is "close", "discard" or "archive", and sessionId is the
+// closed tab's entry in the browser's session history, if it had one.
+const PRUNE_HISTORY_LIMIT = 100;
+
+async function getPruneHistory() {
+  const { pruneHistory } = await engineEnv.browser.storage.local.get("pruneHistory");
+  return pruneHistory || [];
+}
+
+// Change the history with update(pruneHistory), which returns the new history
+async function updatePruneHistory(update) {
+  await updateStorage("local", "pruneHistory", (pruneHistory = []) => update(pruneHistory).slice(0, PRUNE_HISTORY_LIMIT));
+}
+
+// Recent sync runs for the diagnostics view, newest first. Each entry:
+//   { id, groupId, groupTitle, trigger, reconcileOnly, startedAt, duration, outcome,
+//     sources, created, adopted, closed, safeguards, errors }
+// where trigger is what asked for the run ("alarm", "startup", "manual",
+// "settings", "push", "idle" or "tabs"), outcome is "ok", "failed" (the sync
+// threw, or a source failed) or "deferred", and sources holds
+// { label, count, ok, complete, error } per query.
+const SYNC_LOG_LIMIT = 200;
+
+async function getSyncLog() {
+  const { syncLog } = await engineEnv.browser.storage.local.get("syncLog");
+  return syncLog || [];
+}
+
+async function addSyncLogEntry(entry) {
+  await updateStorage("local", "syncLog", (syncLog = []) => [entry, ...syncLog].slice(0, SYNC_LOG_LIMIT));
+}
+
+// Whether a group is synced on a timer. Providers with `polls = false` push
+// their changes instead.
+function isPolled(group) {
+  const provider = getProvider(group.provider);
+  return !provider || provider.polls !== false;
+}
+
+function alarmName(groupId) {
+  return `sync-${groupId}`;
+}
+
+// While the user is away, groups set to slow down poll this many times less often
+const IDLE_POLL_FACTOR = 4;
+const IDLE_SECONDS = 5 * 60;
+
+async function isIdle() {
+  if (!engineEnv.browser.idle) return false;
+  return (await engineEnv.browser.idle.queryState(IDLE_SECONDS)) !== "active";
+}
+
+// Minutes between polls of a group, given whether the user is idle
+function pollMinutesFor(group, idle) {
+  return idle && group.slowWhenIdle ? group.pollMinutes * IDLE_POLL_FACTOR : group.pollMinutes;
+}
+
+// Keep exactly one sync alarm per enabled, polled group. Alarms whose period
+// is unchanged are left alone. A changed period keeps the next sync where it
+// is, or brings it forward if the new period is shorter, but never moves a
+// retry set after rate limiting (see scheduleRetry).
+async function scheduleAlarms(cfg) {
+  const idle = await isIdle();
+  const status = await getStatus();
+  const alarms = new Map((await engineEnv.browser.alarms.getAll())
+    .filter(alarm => alarm.name.startsWith("sync-"))
+    .map(alarm => [alarm.name, alarm]));
+
+  for (const group of cfg.groups) {
+    if (!group.enabled || !isPolled(group)) continue;
+    const name = alarmName(group.id);
+    const alarm = alarms.get(name);
+    alarms.delete(name);
+
+    const periodInMinutes = pollMinutesFor(group, idle);
+    if (alarm && alarm.periodInMinutes === periodInMinutes) continue;
+    if (!alarm) {
+      await engineEnv.browser.alarms.create(name, { periodInMinutes });
+      continue;
+    }
+    const retrying = status[group.id]?.retryAt > Date.now();
+    const when = retrying ? alarm.scheduledTime : Math.min(alarm.scheduledTime, Date.now() + periodInMinutes * 60000);
+    await engineEnv.browser.alarms.create(name, { when, periodInMinutes });
+  }
+
+  for (const name of alarms.keys()) {
+    await engineEnv.browser.alarms.clear(name);
+  }
+}
+
+// Debounce helper
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
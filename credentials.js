@@ -0,0 +1,232 @@
+// Live Tab Groups - Credentials
+// Tokens are kept apart from the settings, keyed by group ID, so they never
+// leave the device with an export or sync of the settings. They can be
+// encrypted with a passphrase; the key derived from it is kept in session
+// storage, so the passphrase is asked for once per browser session.
+//
+// Stored under "credentials" as one of:
+//   { encrypted: false, groups: { [groupId]: { token, oauth } } }
+//   { encrypted: true, salt, iv, data, groupIds }
+// where data is the encrypted groups object and groupIds lists its keys, so
+// groups without credentials can sync while the store is locked.
+
+const PBKDF2_ITERATIONS = 310000;
+
+class CredentialsLockedError extends Error {
+  constructor() {
+    super("Tokens are encrypted and locked. Unlock them on the options page");
+    this.name = "CredentialsLockedError";
+  }
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// The unlocked key for this session, or null
+async function sessionKey() {
+  const { credentialKey } = await engineEnv.browser.storage.session.get("credentialKey");
+  if (!credentialKey) return null;
+  return crypto.subtle.importKey("raw", fromBase64(credentialKey), "AES-GCM", true, ["encrypt", "decrypt"]);
+}
+
+async function setSessionKey(key) {
+  if (key) {
+    await engineEnv.browser.storage.session.set({ credentialKey: toBase64(await crypto.subtle.exportKey("raw", key)) });
+  } else {
+    await engineEnv.browser.storage.session.remove("credentialKey");
+  }
+}
+
+async function decryptGroups(stored, key) {
+  const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(stored.iv) }, key, fromBase64(stored.data));
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+async function readCredentials() {
+  const { credentials } = await engineEnv.browser.storage.local.get("credentials");
+  if (!credentials) return {};
+  if (!credentials.encrypted) return credentials.groups || {};
+
+  const key = await sessionKey();
+  if (!key) throw new CredentialsLockedError();
+  return decryptGroups(credentials, key);
+}
+
+// The stored form of the groups' credentials
+async function credentialsRecord(groups, { encrypted, salt, key } = {}) {
+  if (!encrypted) return { encrypted: false, groups };
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(groups)));
+  return { encrypted: true, salt, iv: toBase64(iv), data: toBase64(data), groupIds: Object.keys(groups) };
+}
+
+// Change the stored credentials with update(groups), which returns the changed
+// groups, or undefined to leave them as they are. Sign-in refreshes of
+// different groups and the options page may write at the same time, and a
+// refresh token that is lost can't be used again, so every write goes through
+// updateStorage and sees the one before it. The options page sends its writes
+// to the background script to share its queue.
+async function updateCredentials(update) {
+  await updateStorage("local", "credentials", async credentials => {
+    if (!credentials?.encrypted) {
+      const groups = await update(credentials?.groups || {});
+      return groups && credentialsRecord(groups);
+    }
+    const key = await sessionKey();
+    if (!key) throw new CredentialsLockedError();
+    const groups = await update(await decryptGroups(credentials, key));
+    return groups && credentialsRecord(groups, { encrypted: true, salt: credentials.salt, key });
+  });
+}
+
+// Whether a group may have credentials stored, answered without unlocking.
+// Stores encrypted before groupIds was kept may have them for any group.
+async function mayHaveCredentials(groupId) {
+  const { credentials } = await engineEnv.browser.storage.local.get("credentials");
+  if (!credentials) return false;
+  if (!credentials.encrypted) return Boolean(credentials.groups?.[groupId]);
+  return !credentials.groupIds || credentials.groupIds.includes(groupId);
+}
+
+// "plain", "locked" or "unlocked"
+async function credentialsState() {
+  const { credentials } = await engineEnv.browser.storage.local.get("credentials");
+  if (!credentials?.encrypted) return "plain";
+  return (await sessionKey()) ? "unlocked" : "locked";
+}
+
+// Encrypt the stored tokens with a passphrase, or change the passphrase
+async function encryptCredentials(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt);
+  await updateStorage("local", "credentials", async () => {
+    return credentialsRecord(await readCredentials(), { encrypted: true, salt: toBase64(salt), key });
+  });
+  await setSessionKey(key);
+}
+
+async function unlockCredentials(passphrase) {
+  const { credentials } = await engineEnv.browser.storage.local.get("credentials");
+  if (!credentials?.encrypted) return;
+
+  const key = await deriveKey(passphrase, fromBase64(credentials.salt));
+  try {
+    await decryptGroups(credentials, key);
+  } catch {
+    throw new Error("Wrong passphrase");
+  }
+  await setSessionKey(key);
+}
+
+async function lockCredentials() {
+  await setSessionKey(null);
+}
+
+// Store the tokens unencrypted again
+async function decryptCredentials() {
+  await updateStorage("local", "credentials", async () => credentialsRecord(await readCredentials()));
+  await setSessionKey(null);
+}
+
+async function getGroupCredentials(groupId) {
+  return (await readCredentials())[groupId] || {};
+}
+
+// Replace a group's credentials. Empty values are dropped.
+async function setGroupCredentials(groupId, creds) {
+  const kept = Object.fromEntries(Object.entries(creds || {}).filter(([, value]) => value && value.length !== 0));
+  await updateCredentials(groups => {
+    if (Object.keys(kept).length > 0) {
+      groups[groupId] = kept;
+    } else {
+      delete groups[groupId];
+    }
+    return groups;
+  });
+}
+
+// Whether signed-in credentials are about to expire and can be refreshed
+function needsRefresh(creds, provider) {
+  const oauth = creds.oauth;
+  return Boolean(oauth?.refreshToken && oauth.expiresAt && oauth.expiresAt - Date.now() < 5 * 60 * 1000 && provider?.refreshCredentials);
+}
+
+// A refresh token can only be used once, so refreshes of a group run one
+// after another, and each checks again whether the previous one already did it
+const credentialRefreshes = new Map();
+
+function refreshGroupCredentials(group, provider) {
+  const previous = credentialRefreshes.get(group.id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    const creds = await getGroupCredentials(group.id);
+    if (!needsRefresh(creds, provider)) return creds;
+
+    console.log(`[Live Tab Groups] Refreshing sign-in for ${group.id}`);
+    const refreshed = await provider.refreshCredentials(group, creds);
+    await setGroupCredentials(group.id, refreshed);
+    return refreshed;
+  });
+  credentialRefreshes.set(group.id, next);
+  return next;
+}
+
+// A group's settings with its secrets filled in. Signed-in tokens that are
+// about to expire are refreshed first. Groups without secrets are returned
+// as they are, so they sync while the store is locked.
+async function withCredentials(group) {
+  if (secretKeys(group).length === 0 || !(await mayHaveCredentials(group.id))) return group;
+
+  let creds = await getGroupCredentials(group.id);
+  const provider = getProvider(group.provider);
+  if (needsRefresh(creds, provider)) {
+    creds = await refreshGroupCredentials(group, provider);
+  }
+
+  const secrets = {};
+  for (const key of secretKeys(group)) {
+    if (creds[key]) secrets[key] = creds[key];
+  }
+  return { ...group, ...secrets };
+}
+
+// Move secrets that older versions kept in the settings into the credentials
+// store. Returns the settings without them.
+async function migrateCredentials(cfg) {
+  if ((await credentialsState()) === "locked") return cfg;
+  const secrets = {};
+  const cleaned = cfg.groups.map(group => {
+    const rest = { ...group };
+    for (const key of secretKeys(group)) {
+      if (!rest[key] || rest[key].length === 0) continue;
+      secrets[group.id] = { ...secrets[group.id], [key]: rest[key] };
+      delete rest[key];
+    }
+    return rest;
+  });
+  if (Object.keys(secrets).length === 0) return cfg;
+
+  console.log("[Live Tab Groups] Moving tokens out of the settings");
+  await updateCredentials(groups => {
+    for (const [groupId, groupSecrets] of Object.entries(secrets)) {
+      groups[groupId] = { ...groups[groupId], ...groupSecrets };
+    }
+    return groups;
+  });
+  return { ...cfg, groups: cleaned };
+}
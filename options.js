@@ -1,80 +1,1059 @@
-const DEFAULTS = {
-  groups: {
-    "github-prs": {
-      enabled: true,
-      token: "",
-      queries: [
-        "is:pr is:open review-requested:@me",
-        "is:pr is:open assignee:@me",
-        "is:pr is:open mentions:@me",
-        "is:pr is:open author:@me"
-      ],
-      groupTitle: "GitHub PRs",
-      groupColor: "blue",
-      pollMinutes: 5,
-      closeMissing: true
-    }
+// Settings shared by every group, shown after the provider's own fields
+const COMMON_FIELDS = [
+  {
+    key: "groupTitle",
+    type: "text",
+    label: "Group title",
+    description: "Title displayed on the tab group"
+  },
+  {
+    key: "groupColor",
+    type: "select",
+    label: "Group color",
+    options: GROUP_COLORS
+  },
+  {
+    key: "splitBy",
+    type: "select",
+    label: "Split into sub-groups",
+    description: "Route items into separate tab groups that come and go as items move between them",
+    options: [
+      { value: "none", label: "Don't split" },
+      { value: "repo", label: "By repository" },
+      { value: "state", label: "By state (draft or ready)" },
+      { value: "review", label: "By review status" },
+      { value: "source", label: "By the query that found them" }
+    ]
+  },
+  {
+    key: "splitTitle",
+    type: "text",
+    label: "Sub-group title",
+    description: "<code>{title}</code> is the group title, <code>{key}</code> the repository, state, review status or query"
+  },
+  {
+    key: "splitColors",
+    type: "lines",
+    label: "Sub-group colors",
+    description: "Optional. One <code>key = color</code> per line, e.g. <code>Draft = grey</code>. Others use the group color",
+    rows: 3
+  },
+  {
+    key: "onManualEdit",
+    type: "select",
+    label: "When you rename or recolor the group",
+    options: [
+      { value: "reapply", label: "Restore the title and color above" },
+      { value: "respect", label: "Keep your changes" }
+    ]
+  },
+  {
+    key: "placement",
+    type: "select",
+    label: "Window",
+    description: "Which window the group lives in when several are open",
+    options: [
+      { value: "home", label: "Stay in the window it was created in" },
+      { value: "lastFocused", label: "Create in the focused window" },
+      { value: "follow", label: "Follow the focused window" }
+    ]
+  },
+  {
+    key: "pollMinutes",
+    type: "number",
+    label: "Poll interval (minutes)",
+    description: "How often to check for new items",
+    min: 1
+  },
+  {
+    key: "slowWhenIdle",
+    type: "checkbox",
+    label: "Poll less while away",
+    description: "Check less often while the computer is idle or locked, and catch up as soon as you're back"
+  },
+  {
+    key: "closeMissing",
+    type: "checkbox",
+    label: "Auto-close tabs",
+    description: "Close tabs when items are no longer returned (merged, closed, etc.)"
+  },
+  {
+    key: "pruneAction",
+    type: "select",
+    label: "Tabs that are no longer needed",
+    description: "What auto-close does with them. Recently pruned tabs are listed below",
+    options: [
+      { value: "close", label: "Close them (undo from the notification)" },
+      { value: "discard", label: "Unload them and move them out of the group" },
+      { value: "archive", label: "Unload them and move them to an Archived group" }
+    ]
+  },
+  {
+    key: "confirmCloseOver",
+    type: "number",
+    label: "Ask before closing more than",
+    description: "Number of tabs a sync may close without asking. Above it, a notification asks first. 0 never asks",
+    min: 0
+  },
+  {
+    key: "protectPinned",
+    type: "checkbox",
+    label: "Keep pinned tabs",
+    description: "Never auto-close pinned tabs"
+  },
+  {
+    key: "protectAudible",
+    type: "checkbox",
+    label: "Keep tabs playing sound",
+    description: "Never auto-close tabs that are playing audio"
+  },
+  {
+    key: "protectUnsaved",
+    type: "checkbox",
+    label: "Keep tabs with unsaved comments",
+    description: "Never auto-close GitHub tabs with a comment or review that hasn't been submitted"
+  },
+  {
+    key: "protectRecentMinutes",
+    type: "number",
+    label: "Keep recently used tabs (minutes)",
+    description: "Don't auto-close tabs you looked at within this many minutes. 0 turns this off",
+    min: 0
+  },
+  {
+    key: "onManualClose",
+    type: "select",
+    label: "When you close a tab",
+    description: "What happens to an item whose tab you close while it's still in the results",
+    options: [
+      { value: "none", label: "Reopen it on the next sync" },
+      { value: "snooze", label: "Snooze it" },
+      { value: "activity", label: "Snooze it until it has new activity" },
+      { value: "ignore", label: "Ignore it for good" }
+    ]
+  },
+  {
+    key: "snoozeHours",
+    type: "number",
+    label: "Snooze duration (hours)",
+    description: "How long snoozed items stay hidden",
+    min: 1
+  },
+  {
+    key: "sortBy",
+    type: "select",
+    label: "Tab order",
+    description: "How tabs are ordered inside the group",
+    options: [
+      { value: "none", label: "As returned" },
+      { value: "updated", label: "Recently updated first" },
+      { value: "title", label: "Title" },
+      { value: "repo", label: "Repository" },
+      { value: "review", label: "Review status, approved first" }
+    ]
+  },
+  {
+    key: "reviewRequestedFirst",
+    type: "checkbox",
+    label: "Review requests first",
+    description: "Put items waiting on your review at the start of the group"
+  },
+  {
+    key: "draftsLast",
+    type: "checkbox",
+    label: "Drafts last",
+    description: "Put draft pull and merge requests at the end of the group"
+  },
+  {
+    key: "titleSummary",
+    type: "checkbox",
+    label: "Show counts in title",
+    description: "Add a summary to the group title, e.g. <code>GitHub PRs (7, 2 need review, 1 approved)</code>"
+  },
+  {
+    key: "lazyLoad",
+    type: "checkbox",
+    label: "Open tabs unloaded",
+    description: "New tabs show the item's title and only load when you open them"
+  },
+  {
+    key: "notifyReviewRequests",
+    type: "checkbox",
+    label: "Notify about review requests",
+    description: "Show a notification when an item starts waiting on your review"
+  },
+  {
+    key: "notifyNewItems",
+    type: "checkbox",
+    label: "Notify about other new items",
+    description: "Show a notification for every other item that shows up in the results"
+  },
+  {
+    key: "notifyReviewChanges",
+    type: "checkbox",
+    label: "Notify about reviews",
+    description: "Show a notification when a pull request is approved or changes are requested"
+  },
+  {
+    key: "notifyCiFailed",
+    type: "checkbox",
+    label: "Notify about failing checks",
+    description: "Show a notification when the checks of a pull request start failing"
+  },
+  {
+    key: "notifyMerged",
+    type: "checkbox",
+    label: "Notify about merges",
+    description: "Show a notification when a pull or merge request is merged, also after it left the results"
   }
+];
+
+// Settings that only apply to polled groups
+const POLL_FIELDS = ["pollMinutes", "slowWhenIdle"];
+
+const ENABLED_FIELD = {
+  key: "enabled",
+  type: "checkbox",
+  label: "Enable sync",
+  description: "Automatically sync this group into a tab group"
 };
 
-async function loadOptions() {
-  const { cfg } = await browser.storage.local.get("cfg");
-  const config = cfg || DEFAULTS;
+let cfg = { groups: [] };
 
-  // Load GitHub PRs configuration
-  const githubConfig = config.groups?.["github-prs"] || DEFAULTS.groups["github-prs"];
+// Tokens, kept apart from cfg (see credentials.js). Empty while locked.
+let credentials = {};
+let credentialState = "plain";
 
-  document.getElementById("github-prs-enabled").checked = githubConfig.enabled !== false;
-  document.getElementById("github-prs-token").value = githubConfig.token || "";
+async function loadCredentials() {
+  credentialState = await credentialsState();
+  credentials = credentialState === "locked" ? {} : await readCredentials();
+}
 
-  // Handle both old single query and new queries array
-  let queries = githubConfig.queries;
-  if (githubConfig.query && !Array.isArray(githubConfig.queries)) {
-    queries = [githubConfig.query];
-  }
-  // If no queries configured, use defaults
-  if (!queries || queries.length === 0) {
-    queries = DEFAULTS.groups["github-prs"].queries;
-  }
-  document.getElementById("github-prs-queries").value = queries.join("\n");
+// A group's settings with its tokens, as providers expect them
+function withSecrets(group) {
+  const creds = credentials[group.id] || {};
+  const secrets = Object.fromEntries(secretKeys(group).filter(key => creds[key]).map(key => [key, creds[key]]));
+  return { ...group, ...secrets };
+}
 
-  document.getElementById("github-prs-groupTitle").value = githubConfig.groupTitle || "";
-  document.getElementById("github-prs-groupColor").value = githubConfig.groupColor || "blue";
-  document.getElementById("github-prs-pollMinutes").value = githubConfig.pollMinutes || 5;
-  document.getElementById("github-prs-closeMissing").checked = githubConfig.closeMissing !== false;
+// Credentials are written by the background script, which queues them with
+// its own sign-in refreshes. Throws what it failed with.
+async function writeCredentialsInBackground(message) {
+  const response = await browser.runtime.sendMessage(message);
+  if (!response?.success) throw new Error(response?.error || "No response from the background script");
 }
 
-async function saveOptions() {
-  // Parse queries from textarea (one per line)
-  const queriesText = document.getElementById("github-prs-queries").value;
-  const queries = queriesText
-    .split("\n")
-    .map(q => q.trim())
-    .filter(q => q.length > 0);
-
-  const cfg = {
-    groups: {
-      "github-prs": {
-        enabled: document.getElementById("github-prs-enabled").checked,
-        token: document.getElementById("github-prs-token").value.trim(),
-        queries: queries,
-        groupTitle: document.getElementById("github-prs-groupTitle").value.trim() || "GitHub PRs",
-        groupColor: document.getElementById("github-prs-groupColor").value,
-        pollMinutes: Math.max(1, parseInt(document.getElementById("github-prs-pollMinutes").value || "5", 10)),
-        closeMissing: document.getElementById("github-prs-closeMissing").checked
+async function saveGroupCredentials(groupId, creds) {
+  credentials[groupId] = creds;
+  await writeCredentialsInBackground({ action: "setGroupCredentials", groupId, creds });
+}
+
+function fieldsFor(group) {
+  const provider = getProvider(group.provider);
+  const providerFields = provider && provider.getConfigFields ? provider.getConfigFields() : [];
+  // Groups that aren't polled have no use for polling settings
+  const commonFields = isPolled(group) ? COMMON_FIELDS : COMMON_FIELDS.filter(f => !POLL_FIELDS.includes(f.key));
+  return [ENABLED_FIELD, ...providerFields, ...commonFields];
+}
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+// Create the input element for a field
+function createControl(field, value) {
+  let el;
+  switch (field.type) {
+    case "checkbox":
+      el = document.createElement("input");
+      el.type = "checkbox";
+      el.checked = value !== false;
+      break;
+    case "number":
+      el = document.createElement("input");
+      el.type = "number";
+      if (field.min !== undefined) el.min = field.min;
+      el.value = value;
+      break;
+    case "select":
+      el = document.createElement("select");
+      // Options are either plain values or { value, label } pairs
+      for (const option of field.options) {
+        const opt = document.createElement("option");
+        opt.value = typeof option === "string" ? option : option.value;
+        opt.textContent = typeof option === "string" ? capitalize(option) : option.label;
+        el.appendChild(opt);
       }
+      el.value = value;
+      break;
+    case "bookmark-folder":
+      el = document.createElement("select");
+      populateBookmarkFolders(el, value);
+      break;
+    case "lines":
+      el = document.createElement("textarea");
+      el.rows = field.rows || 5;
+      el.value = (value || []).join("\n");
+      break;
+    default:
+      el = document.createElement("input");
+      el.type = field.type === "password" ? "password" : "text";
+      el.value = value || "";
+  }
+  if (field.placeholder) el.placeholder = field.placeholder;
+  return el;
+}
+
+// Fill a select with every bookmarks folder, indented by depth
+async function populateBookmarkFolders(select, value) {
+  const [root] = await browser.bookmarks.getTree();
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Choose a folder…";
+  select.appendChild(placeholder);
+
+  const addFolders = (node, depth) => {
+    for (const child of node.children || []) {
+      if (child.url) continue;
+      const opt = document.createElement("option");
+      opt.value = child.id;
+      opt.textContent = `${"\u00a0\u00a0".repeat(depth)}${child.title || "(untitled)"}`;
+      select.appendChild(opt);
+      addFolders(child, depth + 1);
     }
   };
+  addFolders(root, 0);
+  select.value = value || "";
+}
 
-  await browser.storage.local.set({ cfg });
+// Read a field's value back from its input element
+function readControl(field, el) {
+  switch (field.type) {
+    case "checkbox":
+      return el.checked;
+    case "number":
+      return Math.max(field.min || 0, parseInt(el.value, 10) || 0);
+    case "lines":
+      // One entry per line
+      return el.value
+        .split("\n")
+        .map(q => q.trim())
+        .filter(q => q.length > 0);
+    case "select":
+    case "bookmark-folder":
+      return el.value;
+    default:
+      return el.value.trim();
+  }
+}
+
+function renderField(group, field) {
+  const row = document.createElement("div");
+  row.className = "preference-row";
 
-  // Clear and recreate alarms
-  for (const [providerId, config] of Object.entries(cfg.groups)) {
-    await browser.alarms.clear(`sync-${providerId}`);
-    if (config.enabled) {
-      await browser.alarms.create(`sync-${providerId}`, { periodInMinutes: config.pollMinutes });
+  const label = document.createElement("div");
+  label.className = "preference-label";
+  const labelText = document.createElement("span");
+  labelText.className = "preference-label-text";
+  labelText.textContent = field.label;
+  label.appendChild(labelText);
+  if (field.description) {
+    // Descriptions are static strings defined by providers and may contain markup
+    const description = document.createElement("span");
+    description.className = "preference-description";
+    description.innerHTML = field.description;
+    label.appendChild(description);
+  }
+
+  const control = document.createElement("div");
+  control.className = "preference-control";
+  // Secrets are stored with the credentials, not the settings
+  const secret = isSecretField(field);
+  const el = createControl(field, secret ? credentials[group.id]?.[field.key] : group[field.key]);
+  if (secret && credentialState === "locked") {
+    el.disabled = true;
+    el.placeholder = "Locked, unlock below";
+  }
+  control.appendChild(el);
+
+  const onChange = async () => {
+    if (secret) {
+      // A pasted token replaces a GitHub sign-in
+      const { oauth, ...creds } = credentials[group.id] || {};
+      await saveGroupCredentials(group.id, { ...creds, ...(field.key === "token" ? {} : { oauth }), [field.key]: readControl(field, el) });
+      updateAccountRow(group);
+      showValidation();
+      return;
     }
+    group[field.key] = readControl(field, el);
+    if (field.key === "groupTitle") renderHeader(group);
+    saveOptions();
+  };
+  el.addEventListener("change", onChange);
+  // Also save on input for text fields (more responsive)
+  if (el.type === "text" || el.type === "password" || el.tagName === "TEXTAREA") {
+    el.addEventListener("input", debounce(onChange, 500));
   }
+
+  row.append(label, control);
+  return row;
+}
+
+// Row for granting access to hosts outside the manifest's host_permissions
+function renderPermissionRow(group) {
+  const row = document.createElement("div");
+  row.className = "preference-row permission";
+
+  const label = document.createElement("div");
+  label.className = "preference-label";
+  const labelText = document.createElement("span");
+  labelText.className = "preference-label-text";
+  labelText.textContent = "Host access";
+  const description = document.createElement("span");
+  description.className = "preference-description";
+  label.append(labelText, description);
+
+  const control = document.createElement("div");
+  control.className = "preference-control";
+  const button = document.createElement("button");
+  button.className = "secondary";
+  button.textContent = "Grant access";
+  button.addEventListener("click", async () => {
+    const origins = getProvider(group.provider).getHostPermissions(group);
+    // Must be called directly from the click handler
+    await browser.permissions.request({ origins });
+    await updatePermissionRow(group);
+  });
+  control.appendChild(button);
+
+  row.append(label, control);
+  return row;
+}
+
+async function updatePermissionRow(group) {
+  const provider = getProvider(group.provider);
+  const row = document.querySelector(`.group[data-id="${group.id}"] .permission`);
+  if (!row || !provider || !provider.getHostPermissions) return;
+
+  const origins = provider.getHostPermissions(group);
+  const granted = origins.length > 0 && await browser.permissions.contains({ origins });
+  row.querySelector(".preference-description").textContent = granted
+    ? `Access granted to ${origins.join(", ")}`
+    : `The extension needs permission to access ${origins.join(", ") || "this host"}`;
+  row.querySelector("button").disabled = granted || origins.length === 0;
+}
+
+// Row for signing in with the provider instead of pasting a token
+function renderAccountRow(group) {
+  const row = document.createElement("div");
+  row.className = "preference-row account";
+
+  const label = document.createElement("div");
+  label.className = "preference-label";
+  const labelText = document.createElement("span");
+  labelText.className = "preference-label-text";
+  labelText.textContent = "Account";
+  const description = document.createElement("span");
+  description.className = "preference-description";
+  label.append(labelText, description);
+
+  const control = document.createElement("div");
+  control.className = "preference-control";
+  const signIn = document.createElement("button");
+  signIn.className = "secondary sign-in";
+  signIn.textContent = "Sign in with GitHub";
+  signIn.addEventListener("click", () => signInGroup(group, signIn));
+  const check = document.createElement("button");
+  check.className = "secondary";
+  check.textContent = "Check token";
+  check.addEventListener("click", () => checkGroupToken(group));
+  const signOut = document.createElement("button");
+  signOut.className = "secondary sign-out";
+  signOut.textContent = "Sign out";
+  signOut.addEventListener("click", async () => {
+    // Tokens can't be revoked without the app's secret; forgetting it is all we can do
+    await saveGroupCredentials(group.id, {});
+    renderGroups();
+  });
+  control.append(signIn, check, signOut);
+
+  row.append(label, control);
+  return row;
+}
+
+function updateAccountRow(group, message = null) {
+  const row = document.querySelector(`.group[data-id="${group.id}"] .account`);
+  if (!row) return;
+
+  const creds = credentials[group.id] || {};
+  let text = message;
+  if (!text) {
+    if (credentialState === "locked") {
+      text = "Tokens are locked";
+    } else if (creds.oauth) {
+      text = creds.oauth.expiresAt
+        ? `Signed in with GitHub. The token is renewed automatically before ${new Date(creds.oauth.expiresAt).toLocaleString()}`
+        : "Signed in with GitHub";
+    } else {
+      text = creds.token ? "Using the token above" : "Sign in with GitHub, or paste a token above";
+    }
+  }
+  row.querySelector(".preference-description").textContent = text;
+  row.querySelector(".sign-in").disabled = credentialState === "locked";
+  row.querySelector(".sign-out").disabled = credentialState === "locked" || !creds.token;
+}
+
+// Sign in with the OAuth device flow: show the code, open the page to enter
+// it on and wait for the user to finish there
+async function signInGroup(group, button) {
+  const provider = getProvider(group.provider);
+  button.disabled = true;
+  try {
+    const device = await provider.startDeviceFlow(group);
+    updateAccountRow(group, `Enter the code ${device.user_code} at ${device.verification_uri} to sign in`);
+    await browser.tabs.create({ url: device.verification_uri });
+    await saveGroupCredentials(group.id, await provider.pollDeviceFlow(group, device));
+    renderGroups();
+    await checkGroupToken(group);
+  } catch (error) {
+    updateAccountRow(group, `Sign-in failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Show who the token belongs to, its scopes and expiry, and what's wrong with it
+async function checkGroupToken(group) {
+  const provider = getProvider(group.provider);
+  try {
+    const info = await provider.checkToken(withSecrets(group));
+    const lines = [`Signed in as ${info.login}`];
+    lines.push(info.scopes ? `Scopes: ${info.scopes.join(", ") || "none"}` : "Fine-grained token or app token, permissions are checked per request");
+    if (info.expiresAt) lines.push(`Expires ${new Date(info.expiresAt).toLocaleString()}`);
+    lines.push(...provider.tokenProblems(info));
+    updateAccountRow(group, lines.join(". "));
+  } catch (error) {
+    updateAccountRow(group, `Token check failed: ${error.message}`);
+  }
+}
+
+// Encryption of the stored tokens with a passphrase
+function renderCredentialsSection() {
+  const description = document.getElementById("credentialsDescription");
+  const passphrase = document.getElementById("passphrase");
+  const encrypt = document.getElementById("encryptCredentials");
+  const unlock = document.getElementById("unlockCredentials");
+  const lock = document.getElementById("lockCredentials");
+  const decrypt = document.getElementById("decryptCredentials");
+
+  description.textContent = {
+    plain: "Tokens are stored unencrypted on this device. Set a passphrase to encrypt them; you'll enter it once per browser session.",
+    locked: "Tokens are encrypted and locked. Groups that need a token won't sync until you unlock them.",
+    unlocked: "Tokens are encrypted and unlocked for this browser session."
+  }[credentialState];
+  passphrase.style.display = credentialState === "unlocked" ? "none" : "";
+  encrypt.style.display = credentialState === "plain" ? "" : "none";
+  unlock.style.display = credentialState === "locked" ? "" : "none";
+  lock.style.display = credentialState === "unlocked" ? "" : "none";
+  decrypt.style.display = credentialState === "unlocked" ? "" : "none";
+}
+
+async function runCredentialsAction(action) {
+  const passphrase = document.getElementById("passphrase");
+  try {
+    await action(passphrase.value);
+    passphrase.value = "";
+    await loadCredentials();
+    renderCredentialsSection();
+    renderGroups();
+  } catch (error) {
+    showStatus(error.message, true);
+  }
+}
+
+// Download the settings, without tokens, as a JSON file
+function exportSettings() {
+  const blob = new Blob([exportCfg(cfg)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "live-tab-groups-settings.json";
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Import a settings file, either replacing all groups (to restore a backup,
+// keeping the tokens of groups that still exist) or adding its groups as new
+// ones (to use a config shared by someone else)
+async function importSettings(file, mode) {
+  try {
+    const imported = parseCfgExport(await file.text());
+    if (mode === "replace") {
+      cfg = { ...cfg, groups: imported.groups };
+    } else {
+      cfg.groups.push(...imported.groups.map(group => ({ ...group, id: newGroupId() })));
+    }
+    await saveOptions();
+    renderGroups();
+    showStatus(`Imported ${imported.groups.length} groups. Add their tokens before they can sync`);
+  } catch (error) {
+    showStatus(`Import failed: ${error.message}`, true);
+  }
+}
+
+function renderSnoozeRow() {
+  const row = document.createElement("div");
+  row.className = "preference-row";
+  row.style.display = "none";
+
+  const label = document.createElement("div");
+  label.className = "preference-label";
+  const labelText = document.createElement("span");
+  labelText.className = "preference-label-text";
+  labelText.textContent = "Snoozed items";
+  const list = document.createElement("div");
+  list.className = "snoozes";
+  label.append(labelText, list);
+
+  row.appendChild(label);
+  return row;
+}
+
+function renderExtrasRow() {
+  const row = document.createElement("div");
+  row.className = "preference-row";
+  row.style.display = "none";
+
+  const label = document.createElement("div");
+  label.className = "preference-label";
+  const labelText = document.createElement("span");
+  labelText.className = "preference-label-text";
+  labelText.textContent = "Tabs added by hand";
+  const list = document.createElement("div");
+  list.className = "extras";
+  label.append(labelText, list);
+
+  row.appendChild(label);
+  return row;
+}
+
+function renderHeader(group) {
+  const provider = getProvider(group.provider);
+  const name = document.querySelector(`.group[data-id="${group.id}"] .group-name`);
+  if (name) {
+    name.textContent = `${group.groupTitle || "Untitled group"} — ${provider ? provider.name : group.provider}`;
+  }
+}
+
+function renderGroup(group) {
+  const card = document.createElement("div");
+  card.className = "group";
+  card.dataset.id = group.id;
+
+  const header = document.createElement("div");
+  header.className = "section-header";
+  const name = document.createElement("span");
+  name.className = "group-name";
+  const preview = document.createElement("button");
+  preview.className = "secondary";
+  preview.textContent = "Preview sync";
+  preview.addEventListener("click", () => previewGroup(group.id, preview));
+  const duplicate = document.createElement("button");
+  duplicate.className = "secondary";
+  duplicate.textContent = "Duplicate";
+  duplicate.addEventListener("click", () => duplicateGroup(group.id));
+  const remove = document.createElement("button");
+  remove.className = "secondary";
+  remove.textContent = "Delete";
+  remove.addEventListener("click", () => deleteGroup(group.id));
+  header.append(name, preview, duplicate, remove);
+  card.appendChild(header);
+
+  const errors = document.createElement("div");
+  errors.className = "status-message error validation";
+  card.appendChild(errors);
+
+  const syncStatus = document.createElement("div");
+  syncStatus.className = "sync-status";
+  card.appendChild(syncStatus);
+
+  const previewResult = document.createElement("div");
+  previewResult.className = "preview";
+  card.appendChild(previewResult);
+
+  for (const field of fieldsFor(group)) {
+    card.appendChild(renderField(group, field));
+  }
+
+  const provider = getProvider(group.provider);
+  if (provider && provider.startDeviceFlow) {
+    card.appendChild(renderAccountRow(group));
+  }
+  if (provider && provider.getHostPermissions) {
+    card.appendChild(renderPermissionRow(group));
+  }
+
+  card.appendChild(renderSnoozeRow());
+  card.appendChild(renderExtrasRow());
+  return card;
+}
+
+function renderGroups() {
+  const container = document.getElementById("groups");
+  container.replaceChildren(...cfg.groups.map(renderGroup));
+  cfg.groups.forEach(renderHeader);
+  cfg.groups.forEach(updatePermissionRow);
+  cfg.groups.forEach(group => updateAccountRow(group));
+  showValidation();
+  showSyncStatus();
+  showSnoozes();
+  showExtras();
+  renderSyncLogGroups();
+}
+
+// Show each group's configuration problems reported by its provider
+function showValidation() {
+  for (const group of cfg.groups) {
+    const provider = getProvider(group.provider);
+    const el = document.querySelector(`.group[data-id="${group.id}"] .validation`);
+    if (!el) continue;
+    const errors = provider && provider.validateConfig ? provider.validateConfig(withSecrets(group)) : [];
+    if (credentialState === "locked" && secretKeys(group).length > 0) {
+      errors.unshift("Tokens are locked, unlock them below");
+    }
+    el.textContent = errors.join(". ");
+  }
+}
+
+// Describe a sync plan, one line per kind of change
+function describePlan(plan) {
+  if (plan.abort) return `Nothing would change: ${plan.abort}.`;
+
+  const lines = [];
+  const list = tabs => tabs.map(t => `  ${t.title || t.url}`).join("\n");
+  if (plan.moveGroup) lines.push("Move the group to another window");
+  if (plan.toCreate.length) lines.push(`Open ${plan.toCreate.length} tab(s):\n${list(plan.toCreate)}`);
+  if (plan.toAdopt.length) lines.push(`Add ${plan.toAdopt.length} open tab(s) to the group:\n${list(plan.toAdopt)}`);
+  if (plan.toClose.length) lines.push(`Close ${plan.toClose.length} tab(s):\n${list(plan.toClose)}`);
+  if (plan.skippedProtected.length) lines.push(`Keep ${plan.skippedProtected.length} protected tab(s):\n${plan.skippedProtected.map(t => `  ${t.title || t.url} (${t.reason})`).join("\n")}`);
+  if (plan.skippedActive.length) lines.push(`Leave ${plan.skippedActive.length} active tab(s) alone:\n${list(plan.skippedActive)}`);
+  if (plan.skippedUnhealthy.length) lines.push(`Keep ${plan.skippedUnhealthy.length} tab(s) that depend on a failed source:\n${list(plan.skippedUnhealthy)}`);
+  return lines.length > 0 ? lines.join("\n") : "Nothing would change.";
+}
+
+// Show what syncing a group would do, without doing it
+async function previewGroup(id, button) {
+  const el = document.querySelector(`.group[data-id="${id}"] .preview`);
+  button.disabled = true;
+  try {
+    const response = await browser.runtime.sendMessage({ action: "previewSync", groupId: id });
+    if (!response || !response.success) throw new Error(response?.error || "No response from background script");
+    el.textContent = response.plans.length === 1
+      ? describePlan(response.plans[0].plan)
+      : response.plans.map(({ title, plan }) => `${title}\n${describePlan(plan)}`).join("\n\n");
+  } catch (error) {
+    el.textContent = `Preview failed: ${error.message}`;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+const PRUNE_ACTIONS = { close: "Closed", discard: "Unloaded", archive: "Archived" };
+
+// List tabs recently pruned from live groups, with a button to reopen each
+async function showPruneHistory() {
+  const history = await getPruneHistory();
+  const container = document.getElementById("prunedTabs");
+  if (history.length === 0) {
+    container.textContent = "No tabs have been pruned yet.";
+    return;
+  }
+
+  container.replaceChildren(...history.map(entry => {
+    const row = document.createElement("div");
+    row.className = "snooze";
+    const text = document.createElement("span");
+    text.textContent = `${entry.title || entry.url} — ${PRUNE_ACTIONS[entry.action]} from ${entry.groupTitle} ${new Date(entry.prunedAt).toLocaleString()}: ${entry.reason}`;
+    text.title = entry.url;
+    const button = document.createElement("button");
+    button.className = "secondary";
+    button.textContent = entry.restoredAt ? "Reopened" : "Reopen";
+    button.disabled = Boolean(entry.restoredAt);
+    button.addEventListener("click", async () => {
+      button.disabled = true;
+      await browser.runtime.sendMessage({ action: "restorePruned", ids: [entry.id] });
+    });
+    row.append(text, button);
+    return row;
+  }));
+}
+
+// What asked for a sync run, as shown in the sync activity
+const SYNC_TRIGGERS = {
+  alarm: "scheduled",
+  startup: "browser start",
+  manual: "manual",
+  settings: "settings change",
+  push: "source change",
+  idle: "back from idle",
+  tabs: "tab change"
+};
+
+// Describe a logged sync run: a summary line, then one line per detail
+function describeSyncRun(entry) {
+  const kind = entry.reconcileOnly ? "Reconcile" : "Sync";
+  const outcome = { failed: " failed", deferred: " deferred" }[entry.outcome] || "";
+  const lines = [`${new Date(entry.startedAt).toLocaleString()} — ${entry.groupTitle}: ${kind}${outcome} (${SYNC_TRIGGERS[entry.trigger] || entry.trigger}, ${(entry.duration / 1000).toFixed(1)} s)`];
+  for (const source of entry.sources) {
+    let health = "";
+    if (!source.ok) health = `, failed: ${source.error}`;
+    else if (!source.complete) health = `, incomplete: ${source.error}`;
+    lines.push(`  ${source.label}: ${source.count} item(s)${health}`);
+  }
+  lines.push(`  Created ${entry.created}, adopted ${entry.adopted}, closed ${entry.closed} tab(s)`);
+  lines.push(...entry.safeguards.map(text => `  Safeguard: ${text}`));
+  lines.push(...entry.errors.map(text => `  Error: ${text}`));
+  return lines.join("\n");
+}
+
+// Sync runs matching the group and kind chosen above the list
+function filterSyncLog(log) {
+  const groupId = document.getElementById("syncLogGroup").value;
+  const filter = document.getElementById("syncLogFilter").value;
+  const problems = entry => entry.outcome !== "ok" || entry.errors.length > 0 || entry.safeguards.length > 0;
+  return log.filter(entry => (!groupId || entry.groupId === groupId) &&
+    (filter !== "failed" || entry.outcome === "failed") &&
+    (filter !== "problems" || problems(entry)));
+}
+
+// Offer every group in the filter, keeping the current choice if it still exists
+function renderSyncLogGroups() {
+  const select = document.getElementById("syncLogGroup");
+  const current = select.value;
+  const all = document.createElement("option");
+  all.value = "";
+  all.textContent = "All groups";
+  select.replaceChildren(all, ...cfg.groups.map(group => {
+    const opt = document.createElement("option");
+    opt.value = group.id;
+    opt.textContent = group.groupTitle || "Untitled group";
+    return opt;
+  }));
+  select.value = cfg.groups.some(g => g.id === current) ? current : "";
+}
+
+// List recent sync runs, newest first
+async function showSyncLog() {
+  const entries = filterSyncLog(await getSyncLog());
+  const container = document.getElementById("syncLog");
+  if (entries.length === 0) {
+    container.textContent = "No sync runs to show.";
+    return;
+  }
+
+  container.replaceChildren(...entries.map(entry => {
+    const row = document.createElement("div");
+    let variant = "";
+    if (entry.outcome === "failed" || entry.errors.length > 0) variant = "error";
+    else if (entry.outcome === "deferred" || entry.safeguards.length > 0) variant = "warning";
+    row.className = `sync-run ${variant}`;
+    row.textContent = describeSyncRun(entry);
+    return row;
+  }));
+}
+
+// Copy the listed sync runs as plain text, e.g. to paste into a bug report
+async function copySyncReport() {
+  const manifest = browser.runtime.getManifest();
+  const entries = filterSyncLog(await getSyncLog());
+  const report = [
+    `${manifest.name} ${manifest.version}`,
+    navigator.userAgent,
+    `Report created ${new Date().toLocaleString()}`,
+    "",
+    ...entries.map(describeSyncRun)
+  ].join("\n");
+  try {
+    await navigator.clipboard.writeText(report);
+    showStatus(`Copied ${entries.length} sync runs`);
+  } catch (error) {
+    showStatus(`Couldn't copy the report: ${error.message}`, true);
+  }
+}
+
+function describeSnooze(snooze) {
+  if (snooze.ignored) return "Ignored";
+  if (snooze.untilActivity) return "Snoozed until new activity";
+  return `Snoozed until ${new Date(snooze.until).toLocaleString()}`;
+}
+
+// List each group's snoozed and ignored items with a button to bring them back
+async function showSnoozes() {
+  const snoozes = await getSnoozes();
+  for (const group of cfg.groups) {
+    const el = document.querySelector(`.group[data-id="${group.id}"] .snoozes`);
+    if (!el) continue;
+
+    const entries = Object.entries(snoozes[group.id] || {});
+    const rows = entries.map(([url, snooze]) => {
+      const row = document.createElement("div");
+      row.className = "snooze";
+
+      const text = document.createElement("span");
+      text.className = "preference-description";
+      const link = document.createElement("a");
+      link.href = url;
+      link.target = "_blank";
+      link.textContent = snooze.title || url;
+      text.append(link, ` — ${describeSnooze(snooze)}`);
+
+      const button = document.createElement("button");
+      button.className = "secondary";
+      button.textContent = "Unsnooze";
+      button.addEventListener("click", async () => {
+        button.disabled = true;
+        await browser.runtime.sendMessage({ action: "unsnoozeItem", groupId: group.id, url });
+      });
+
+      row.append(text, button);
+      return row;
+    });
+
+    el.replaceChildren(...rows);
+    el.closest(".preference-row").style.display = rows.length > 0 ? "" : "none";
+  }
+}
+
+// List the tabs added to each group from the tab strip, with a button to let go of them
+async function showExtras() {
+  const extras = await getExtras();
+  for (const group of cfg.groups) {
+    const el = document.querySelector(`.group[data-id="${group.id}"] .extras`);
+    if (!el) continue;
+
+    const rows = Object.entries(extras[group.id] || {}).map(([url, extra]) => {
+      const row = document.createElement("div");
+      row.className = "snooze";
+
+      const text = document.createElement("span");
+      text.className = "preference-description";
+      const link = document.createElement("a");
+      link.href = extra.url;
+      link.target = "_blank";
+      link.textContent = extra.title || extra.url;
+      text.append(link, ` — Added ${new Date(extra.addedAt).toLocaleString()}`);
+
+      const button = document.createElement("button");
+      button.className = "secondary";
+      button.textContent = "Remove";
+      button.title = "Stop keeping this tab in the group";
+      button.addEventListener("click", async () => {
+        button.disabled = true;
+        await browser.runtime.sendMessage({ action: "removeExtra", groupId: group.id, url });
+      });
+
+      row.append(text, button);
+      return row;
+    });
+
+    el.replaceChildren(...rows);
+    el.closest(".preference-row").style.display = rows.length > 0 ? "" : "none";
+  }
+}
+
+// Show the outcome of each group's last sync
+async function showSyncStatus() {
+  const status = await getStatus();
+  for (const group of cfg.groups) {
+    const el = document.querySelector(`.group[data-id="${group.id}"] .sync-status`);
+    if (!el) continue;
+
+    const groupStatus = status[group.id];
+    if (!groupStatus) {
+      el.textContent = "Not synced yet";
+      el.className = "sync-status";
+      continue;
+    }
+
+    const time = new Date(groupStatus.lastSync).toLocaleString();
+    const lines = [groupStatus.error ? `Last sync failed at ${time}: ${groupStatus.error}` : `Last synced at ${time}`];
+    if (groupStatus.retryAt > Date.now()) {
+      lines.push(`Rate limited, next try at ${new Date(groupStatus.retryAt).toLocaleTimeString()}`);
+    }
+    const unhealthy = (groupStatus.sources || []).filter(s => !s.ok || !s.complete);
+    for (const source of unhealthy) {
+      lines.push(`${source.label}: ${source.error}`);
+    }
+    if (unhealthy.length > 0) {
+      lines.push("Tabs that depend on these sources were not auto-closed.");
+    }
+    el.textContent = lines.join("\n");
+
+    let variant = "";
+    if (groupStatus.error || unhealthy.some(s => !s.ok)) variant = "error";
+    else if (unhealthy.length > 0 || groupStatus.retryAt > Date.now()) variant = "warning";
+    el.className = `sync-status ${variant}`;
+  }
+}
+
+async function loadOptions() {
+  cfg = await getCfg();
+  await loadCredentials();
+  renderCredentialsSection();
+  document.getElementById("settingsSync").checked = await isSettingsSyncEnabled();
+  document.getElementById("quietHours").checked = cfg.quietHours.enabled;
+  document.getElementById("quietStart").value = cfg.quietHours.start;
+  document.getElementById("quietEnd").value = cfg.quietHours.end;
+
+  const select = document.getElementById("newGroupProvider");
+  select.replaceChildren(...Object.values(getProviders()).map(provider => {
+    const opt = document.createElement("option");
+    opt.value = provider.id;
+    opt.textContent = provider.name;
+    return opt;
+  }));
+
+  renderGroups();
+  showSyncLog();
+}
+
+async function saveOptions() {
+  await setCfg(cfg);
+  await scheduleAlarms(cfg);
+  cfg.groups.forEach(updatePermissionRow);
+  showValidation();
+}
+
+async function addGroup() {
+  const providerId = document.getElementById("newGroupProvider").value;
+  const provider = getProvider(providerId);
+  if (!provider) return;
+
+  cfg.groups.push({ ...provider.getDefaultConfig(), id: newGroupId(), provider: providerId });
+  await saveOptions();
+  renderGroups();
+}
+
+async function duplicateGroup(id) {
+  const index = cfg.groups.findIndex(g => g.id === id);
+  if (index === -1) return;
+
+  const source = cfg.groups[index];
+  const copy = {
+    ...structuredClone(source),
+    id: newGroupId(),
+    groupTitle: `${source.groupTitle} (copy)`
+  };
+  cfg.groups.splice(index + 1, 0, copy);
+  if (credentials[id]) await saveGroupCredentials(copy.id, structuredClone(credentials[id]));
+  await saveOptions();
+  renderGroups();
+}
+
+async function deleteGroup(id) {
+  cfg.groups = cfg.groups.filter(g => g.id !== id);
+  if (credentialState !== "locked") await saveGroupCredentials(id, {});
+  await saveOptions();
+  renderGroups();
 }
 
 function showStatus(message, isError = false) {
@@ -110,41 +1089,68 @@ async function syncNow() {
 // Set up event listeners
 document.addEventListener("DOMContentLoaded", () => {
   loadOptions();
+  showPruneHistory();
 
-  // Auto-save on any change
-  const inputs = [
-    "github-prs-enabled",
-    "github-prs-token",
-    "github-prs-queries",
-    "github-prs-groupTitle",
-    "github-prs-groupColor",
-    "github-prs-pollMinutes",
-    "github-prs-closeMissing"
-  ];
-
-  inputs.forEach(id => {
-    const element = document.getElementById(id);
-    if (element) {
-      element.addEventListener("change", saveOptions);
-      // Also save on input for text fields (more responsive)
-      if (element.type === "text" || element.type === "password" || element.tagName === "TEXTAREA") {
-        element.addEventListener("input", debounce(saveOptions, 500));
-      }
+  document.getElementById("syncNow").addEventListener("click", syncNow);
+  document.getElementById("addGroup").addEventListener("click", addGroup);
+  document.getElementById("exportSettings").addEventListener("click", exportSettings);
+  document.getElementById("syncLogGroup").addEventListener("change", showSyncLog);
+  document.getElementById("syncLogFilter").addEventListener("change", showSyncLog);
+  document.getElementById("copySyncReport").addEventListener("click", copySyncReport);
+
+  let importMode = "replace";
+  const importFile = document.getElementById("importFile");
+  document.getElementById("importSettings").addEventListener("click", () => {
+    importMode = "replace";
+    importFile.click();
+  });
+  document.getElementById("importGroups").addEventListener("click", () => {
+    importMode = "add";
+    importFile.click();
+  });
+  importFile.addEventListener("change", async () => {
+    if (importFile.files[0]) await importSettings(importFile.files[0], importMode);
+    importFile.value = "";
+  });
+
+  // Quiet hours apply to every group's notifications
+  for (const id of ["quietHours", "quietStart", "quietEnd"]) {
+    document.getElementById(id).addEventListener("change", () => {
+      cfg.quietHours = {
+        enabled: document.getElementById("quietHours").checked,
+        start: document.getElementById("quietStart").value || DEFAULT_QUIET_HOURS.start,
+        end: document.getElementById("quietEnd").value || DEFAULT_QUIET_HOURS.end
+      };
+      saveOptions();
+    });
+  }
+
+  document.getElementById("settingsSync").addEventListener("change", async (event) => {
+    try {
+      await setSettingsSync(event.target.checked);
+      await loadOptions();
+    } catch (error) {
+      event.target.checked = !event.target.checked;
+      showStatus(`Couldn't change settings sync: ${error.message}`, true);
     }
   });
 
-  document.getElementById("syncNow").addEventListener("click", syncNow);
-});
+  document.getElementById("encryptCredentials").addEventListener("click", () => runCredentialsAction(async passphrase => {
+    if (!passphrase) throw new Error("Enter a passphrase first");
+    await writeCredentialsInBackground({ action: "encryptCredentials", passphrase });
+  }));
+  document.getElementById("unlockCredentials").addEventListener("click", () => runCredentialsAction(unlockCredentials));
+  document.getElementById("lockCredentials").addEventListener("click", () => runCredentialsAction(lockCredentials));
+  document.getElementById("decryptCredentials").addEventListener("click", () => runCredentialsAction(() => writeCredentialsInBackground({ action: "decryptCredentials" })));
 
-// Debounce helper for auto-save
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
-}
+  // Keep the sync status current while the page is open
+  browser.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.status) showSyncStatus();
+    if (area === "local" && changes.snoozes) showSnoozes();
+    if (area === "local" && changes.extras) showExtras();
+    if (area === "local" && changes.pruneHistory) showPruneHistory();
+    if (area === "local" && changes.syncLog) showSyncLog();
+    // Settings synced from another device
+    if (area === "local" && changes.cfg && JSON.stringify(changes.cfg.newValue) !== JSON.stringify(cfg)) loadOptions();
+  });
+});
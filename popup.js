@@ -0,0 +1,250 @@
+// Approximate colors of Firefox tab groups
+const COLOR_SWATCHES = {
+  blue: "#3a7ae4",
+  red: "#e22850",
+  green: "#2ac3a2",
+  yellow: "#ffb000",
+  purple: "#9059ff",
+  cyan: "#00c5d6",
+  grey: "#8f8f9d"
+};
+
+// Send a message to the background script, throwing if it reports a failure
+async function sendAction(message) {
+  const response = await browser.runtime.sendMessage(message);
+  if (!response || !response.success) {
+    throw new Error(response?.error || "No response from background script");
+  }
+  return response;
+}
+
+// Run an action from a button, disabling it while it runs
+async function runButtonAction(button, busyText, message) {
+  const text = button.textContent;
+  button.disabled = true;
+  button.textContent = busyText;
+  try {
+    await sendAction(message);
+  } catch (error) {
+    console.error(`${message.action} failed:`, error);
+    button.title = error.message;
+  } finally {
+    button.disabled = false;
+    button.textContent = text;
+  }
+}
+
+function relativeTime(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return new Date(timestamp).toLocaleString();
+}
+
+// One line of context for an item, e.g. "owner/repo #12 · draft · review requested"
+function itemMeta(item) {
+  const parts = [];
+  if (item.repo) parts.push(item.number ? `${item.repo} #${item.number}` : item.repo);
+  if (item.draft) {
+    parts.push("draft");
+  } else if (item.state && item.state !== "open" && item.state !== "opened") {
+    parts.push(item.state);
+  }
+  if (item.reviewRequested) parts.push("review requested");
+  if (item.reviewDecision) parts.push(item.reviewDecision.toLowerCase().replace(/_/g, " "));
+  if (item.ciState === "FAILURE" || item.ciState === "ERROR") parts.push("checks failing");
+  return parts.join(" · ");
+}
+
+function renderItem(group, item) {
+  const li = document.createElement("li");
+  li.className = "item";
+
+  const text = document.createElement("div");
+  text.className = "item-text";
+  text.title = item.url;
+  const title = document.createElement("span");
+  title.className = "item-title";
+  title.textContent = item.title || item.url;
+  text.appendChild(title);
+  const meta = itemMeta(item);
+  if (meta) {
+    const metaEl = document.createElement("span");
+    metaEl.className = "item-meta";
+    metaEl.textContent = meta;
+    text.appendChild(metaEl);
+  }
+  text.addEventListener("click", async () => {
+    try {
+      await sendAction({ action: "focusItem", groupId: group.id, url: item.url });
+      window.close();
+    } catch (error) {
+      console.error("focusItem failed:", error);
+      text.title = `${item.url}\n${error.message}`;
+    }
+  });
+
+  const snooze = document.createElement("button");
+  snooze.textContent = "Snooze";
+  snooze.title = `Hide for ${group.snoozeHours} hours`;
+  snooze.addEventListener("click", () => runButtonAction(snooze, "…", { action: "snoozeItem", groupId: group.id, url: item.url, mode: "hours" }));
+
+  const ignore = document.createElement("button");
+  ignore.textContent = "Ignore";
+  ignore.title = "Never open this item again";
+  ignore.addEventListener("click", () => runButtonAction(ignore, "…", { action: "snoozeItem", groupId: group.id, url: item.url, mode: "ignore" }));
+
+  li.append(text, snooze, ignore);
+  return li;
+}
+
+// Tabs a sync wants to close, waiting for the user's approval
+function renderPendingClose(targetId, pending) {
+  const row = document.createElement("div");
+  row.className = "pending-close";
+
+  const text = document.createElement("span");
+  text.textContent = `${pending.tabs.length} tabs are no longer in the results`;
+  text.title = pending.tabs.map(t => t.title || t.url).join("\n");
+
+  const close = document.createElement("button");
+  close.textContent = "Close them";
+  close.addEventListener("click", () => runButtonAction(close, "…", { action: "approveClose", groupId: targetId }));
+
+  const keep = document.createElement("button");
+  keep.textContent = "Keep";
+  keep.addEventListener("click", () => runButtonAction(keep, "…", { action: "declineClose", groupId: targetId }));
+
+  row.append(text, close, keep);
+  return row;
+}
+
+function renderGroup(group, groupStatus, groupSnoozes, pendingCloses) {
+  const provider = getProvider(group.provider);
+  const normalize = url => provider && provider.normalizeUrl ? provider.normalizeUrl(url, group) : url;
+
+  const section = document.createElement("div");
+  section.className = group.enabled ? "group" : "group paused";
+
+  const header = document.createElement("div");
+  header.className = "group-header";
+  const dot = document.createElement("span");
+  dot.className = "color-dot";
+  dot.style.background = COLOR_SWATCHES[group.groupColor] || COLOR_SWATCHES.grey;
+  const title = document.createElement("span");
+  title.className = "group-title";
+  title.textContent = group.groupTitle;
+  title.title = provider ? provider.name : group.provider;
+
+  const pause = document.createElement("button");
+  pause.textContent = group.enabled ? "Pause" : "Resume";
+  pause.addEventListener("click", () => runButtonAction(pause, "…", { action: "setPaused", groupId: group.id, paused: group.enabled }));
+
+  const sync = document.createElement("button");
+  sync.textContent = "Sync now";
+  sync.disabled = !group.enabled;
+  sync.addEventListener("click", () => runButtonAction(sync, "Syncing…", { action: "syncNow", groupId: group.id }));
+
+  header.append(dot, title, pause, sync);
+  section.appendChild(header);
+
+  const status = document.createElement("div");
+  status.className = "group-status";
+  if (!group.enabled) {
+    status.textContent = "Paused";
+  } else if (!groupStatus) {
+    status.textContent = "Not synced yet";
+  } else if (groupStatus.error) {
+    status.className = "group-status error";
+    status.textContent = `Sync failed ${relativeTime(groupStatus.lastSync)}: ${groupStatus.error}`;
+  } else {
+    const failed = (groupStatus.sources || []).filter(s => !s.ok || !s.complete);
+    status.textContent = `Synced ${relativeTime(groupStatus.lastSync)}`;
+    if (groupStatus.retryAt > Date.now()) {
+      status.textContent += ` · Rate limited until ${new Date(groupStatus.retryAt).toLocaleTimeString()}`;
+    }
+    if (failed.length > 0) {
+      status.className = "group-status error";
+      status.textContent += ` · ${failed.map(s => `${s.label}: ${s.error}`).join("; ")}`;
+    }
+  }
+  section.appendChild(status);
+
+  // Sub-groups ask separately
+  for (const [id, pending] of Object.entries(pendingCloses)) {
+    if ((id === group.id || id.startsWith(`${group.id}/`)) && !pending.declined) {
+      section.appendChild(renderPendingClose(id, pending));
+    }
+  }
+
+  const items = (groupStatus?.items || []).filter(item => !isSnoozed(groupSnoozes, normalize(item.url), item));
+  const snoozedCount = (groupStatus?.items || []).length - items.length;
+  if (items.length > 0) {
+    const list = document.createElement("ul");
+    list.className = "items";
+    list.append(...items.map(item => renderItem(group, item)));
+    section.appendChild(list);
+  } else if (groupStatus) {
+    const empty = document.createElement("div");
+    empty.className = "empty";
+    empty.textContent = "No items";
+    section.appendChild(empty);
+  }
+  if (snoozedCount > 0) {
+    const snoozed = document.createElement("div");
+    snoozed.className = "empty";
+    snoozed.textContent = `${snoozedCount} snoozed or ignored`;
+    section.appendChild(snoozed);
+  }
+
+  return section;
+}
+
+// Show whether the current tab is kept from auto-close
+async function renderKeepButton() {
+  const button = document.getElementById("keepTab");
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  const { keptTabs = {} } = await browser.storage.session.get("keptTabs");
+  const kept = Boolean(tab && keptTabs[tab.id]);
+  button.textContent = kept ? "Stop keeping this tab" : "Keep this tab";
+  button.onclick = () => runButtonAction(button, "…", { action: "setKept", tabId: tab.id, kept: !kept });
+}
+
+async function render() {
+  const cfg = await getCfg();
+  const status = await getStatus();
+  const snoozes = await getSnoozes();
+  const { pendingCloses = {} } = await browser.storage.session.get("pendingCloses");
+
+  const container = document.getElementById("groups");
+  if (cfg.groups.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "group empty";
+    empty.textContent = "No groups configured yet.";
+    container.replaceChildren(empty);
+    return;
+  }
+  container.replaceChildren(...cfg.groups.map(group => renderGroup(group, status[group.id], snoozes[group.id] || {}, pendingCloses)));
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  render();
+  renderKeepButton();
+
+  document.getElementById("openOptions").addEventListener("click", () => {
+    browser.runtime.openOptionsPage();
+    window.close();
+  });
+
+  const syncAllButton = document.getElementById("syncAll");
+  syncAllButton.addEventListener("click", () => runButtonAction(syncAllButton, "Syncing…", { action: "syncNow" }));
+
+  // Re-render whenever a sync finishes or settings change
+  browser.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && (changes.cfg || changes.status || changes.snoozes)) render();
+    if (area === "session" && changes.pendingCloses) render();
+    if (area === "session" && changes.keptTabs) renderKeepButton();
+  });
+});
@@ -0,0 +1,125 @@
+// Bookmark Folder Provider for Live Tab Groups
+// This provider mirrors the bookmarks in a folder into a tab group.
+// It reacts to bookmark changes instead of polling and works offline.
+
+class BookmarkFolderProvider {
+  constructor() {
+    this.id = "bookmark-folder";
+    this.name = "Bookmark Folder";
+    this.description = "Mirrors a bookmarks folder into a tab group";
+    this.polls = false;
+  }
+
+  // Call onChange whenever bookmarks change. Must be called synchronously
+  // when the background script loads so the listeners wake it up.
+  subscribe(onChange) {
+    browser.bookmarks.onCreated.addListener(onChange);
+    browser.bookmarks.onRemoved.addListener(onChange);
+    browser.bookmarks.onChanged.addListener(onChange);
+    browser.bookmarks.onMoved.addListener(onChange);
+  }
+
+  // Collect the bookmarks below a node
+  collectBookmarks(node, includeSubfolders, bookmarks = []) {
+    for (const child of node.children || []) {
+      if (child.url) {
+        bookmarks.push(child);
+      } else if (child.children && includeSubfolders) {
+        this.collectBookmarks(child, includeSubfolders, bookmarks);
+      }
+    }
+    return bookmarks;
+  }
+
+  // Fetch bookmark URLs from the configured folder
+  async fetchUrls(config) {
+    const result = new FetchResult();
+    const source = result.addSource("folder", "Bookmarks folder");
+
+    if (!config.folderId) {
+      console.warn(`[${this.id}] No bookmarks folder configured`);
+      result.authoritative = false;
+      result.fail(source, "No bookmarks folder configured");
+      return result.toJSON();
+    }
+
+    try {
+      const [folder] = await browser.bookmarks.getSubTree(config.folderId);
+      this.collectBookmarks(folder, config.includeSubfolders)
+        .filter(b => this.matchesUrl(b.url))
+        .forEach(b => result.addItem(source, b.url, { title: b.title }));
+      console.log(`[${this.id}] ✓ Total unique bookmarks found: ${result.items.size}`);
+    } catch (error) {
+      // The folder was most likely deleted
+      console.error(`[${this.id}] Error reading bookmarks folder:`, error);
+      result.fail(source, error);
+    }
+
+    return result.toJSON();
+  }
+
+  // Match pattern for tabs that could belong to this group
+  getTabMatchPattern() {
+    return "<all_urls>";
+  }
+
+  // Normalize URLs the way the browser shows them
+  normalizeUrl(url) {
+    return browserUrl(url);
+  }
+
+  // Check if a URL belongs to this provider. Bookmarklets, place: queries and
+  // file: URLs can't be opened as tabs by an extension.
+  matchesUrl(url) {
+    return /^(https?|ftp):/.test(url);
+  }
+
+  // Get default configuration for this provider
+  getDefaultConfig() {
+    return {
+      enabled: true,
+      folderId: "",
+      includeSubfolders: true,
+      groupTitle: "Bookmarks",
+      groupColor: "green",
+      pollMinutes: 5,
+      closeMissing: true
+    };
+  }
+
+  // Provider-specific settings shown on the options page
+  getConfigFields() {
+    return [
+      {
+        key: "folderId",
+        type: "bookmark-folder",
+        label: "Bookmarks folder",
+        description: "Tabs are opened for every bookmark in this folder and kept in sync as it changes"
+      },
+      {
+        key: "includeSubfolders",
+        type: "checkbox",
+        label: "Include subfolders",
+        description: "Also open bookmarks from folders inside the selected folder"
+      }
+    ];
+  }
+
+  // Validate configuration
+  validateConfig(config) {
+    const errors = [];
+    if (!config.folderId) {
+      errors.push("Bookmarks folder is required");
+    }
+    if (!config.groupTitle) {
+      errors.push("Group title is required");
+    }
+    return errors;
+  }
+}
+
+// Register this provider globally
+if (typeof window.LiveTabGroupsProviders === "undefined") {
+  window.LiveTabGroupsProviders = {};
+}
+window.LiveTabGroupsProviders["bookmark-folder"] = new BookmarkFolderProvider();
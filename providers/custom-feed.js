@@ -0,0 +1,287 @@
+// Custom Feed Provider for Live Tab Groups
+// This provider polls any HTTP endpoint and syncs the URLs it lists into a tab group.
+// Responses can be JSON (URLs picked with a JSONPath-like expression), plain text
+// with one URL per line, or an RSS/Atom feed.
+
+class CustomFeedProvider {
+  constructor() {
+    this.id = "custom-feed";
+    this.name = "Custom Feed";
+    this.description = "Syncs URLs from any JSON, text or RSS/Atom endpoint into a tab group";
+  }
+
+  // Origins the extension needs access to for the feed
+  getHostPermissions(config) {
+    try {
+      const u = new URL(config.feedUrl);
+      return [`${u.protocol}//${u.hostname}/*`];
+    } catch {
+      return [];
+    }
+  }
+
+  // Build request headers from "Name: value" lines and the optional token
+  headers(config) {
+    const headers = {};
+    for (const line of config.headers || []) {
+      const i = line.indexOf(":");
+      if (i > 0) headers[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+    }
+    if (config.token && !Object.keys(headers).some(h => h.toLowerCase() === "authorization")) {
+      headers.Authorization = `Bearer ${config.token}`;
+    }
+    return headers;
+  }
+
+  // Evaluate a JSONPath-like expression. Supports $, .key, ['key'], [0], [*], .* and ..key
+  selectPath(data, path) {
+    const tokens = (path || "$").trim().replace(/^\$/, "")
+      .match(/\.\.[^.[\]]+|\.[^.[\]]+|\[\s*(?:\*|\d+|'[^']*'|"[^"]*")\s*\]/g) || [];
+
+    let nodes = [data];
+    for (const token of tokens) {
+      const next = [];
+      if (token.startsWith("..")) {
+        // Recursive descent: collect the key at any depth
+        const key = token.slice(2);
+        const visit = node => {
+          if (node === null || typeof node !== "object") return;
+          if (!Array.isArray(node) && key in node) next.push(node[key]);
+          Object.values(node).forEach(visit);
+        };
+        nodes.forEach(visit);
+      } else {
+        const key = token.startsWith(".")
+          ? token.slice(1)
+          : token.slice(1, -1).trim().replace(/^['"]|['"]$/g, "");
+        for (const node of nodes) {
+          if (node === null || typeof node !== "object") continue;
+          if (key === "*") {
+            next.push(...Object.values(node));
+          } else if (key in node) {
+            next.push(node[key]);
+          }
+        }
+      }
+      nodes = next;
+    }
+
+    // A path ending on an array selects its elements
+    return nodes.flat().filter(v => typeof v === "string");
+  }
+
+  // Extract item links from an RSS or Atom document
+  parseFeed(text) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    if (doc.querySelector("parsererror")) {
+      throw new Error("Feed is not valid XML");
+    }
+
+    const urls = [];
+    // RSS: <item><link>url</link></item>
+    for (const link of doc.querySelectorAll("item > link")) {
+      urls.push(link.textContent.trim());
+    }
+    // Atom: <entry><link rel="alternate" href="url"/></entry>
+    for (const entry of doc.querySelectorAll("entry")) {
+      const links = Array.from(entry.querySelectorAll("link"));
+      const link = links.find(l => !l.getAttribute("rel") || l.getAttribute("rel") === "alternate");
+      if (link && link.getAttribute("href")) urls.push(link.getAttribute("href"));
+    }
+    return urls;
+  }
+
+  // Work out the response format when set to auto
+  detectFormat(text, contentType) {
+    if (/json/.test(contentType)) return "json";
+    if (/(rss|atom|xml)/.test(contentType)) return "feed";
+    const start = text.trimStart();
+    if (start.startsWith("{") || start.startsWith("[")) return "json";
+    if (start.startsWith("<")) return "feed";
+    return "text";
+  }
+
+  // Fetch URLs from the configured endpoint
+  async fetchUrls(config) {
+    const result = new FetchResult();
+    const source = result.addSource("feed", config.feedUrl || "Feed");
+
+    if (!config.feedUrl) {
+      console.warn(`[${this.id}] No feed URL configured`);
+      result.authoritative = false;
+      result.fail(source, "No feed URL configured");
+      return result.toJSON();
+    }
+
+    const origins = this.getHostPermissions(config);
+    if (!(await browser.permissions.contains({ origins }))) {
+      throw new Error(`Access to ${config.feedUrl} has not been granted`);
+    }
+
+    try {
+      console.log(`[${this.id}] Fetching ${config.feedUrl}`);
+      const r = await fetch(config.feedUrl, { headers: this.headers(config) });
+      if (!r.ok) throw new Error(`Feed returned ${r.status} ${r.statusText}`);
+
+      const text = await r.text();
+      const format = config.format === "auto"
+        ? this.detectFormat(text, r.headers.get("Content-Type") || "")
+        : config.format;
+
+      let urls;
+      if (format === "json") {
+        urls = this.selectPath(JSON.parse(text), config.urlPath);
+      } else if (format === "feed") {
+        urls = this.parseFeed(text);
+      } else {
+        urls = text.split("\n").map(line => line.trim());
+      }
+
+      // Only keep absolute web URLs
+      urls.filter(u => /^https?:\/\//.test(u)).forEach(u => result.addItem(source, u));
+      console.log(`[${this.id}] ✓ Total unique URLs found: ${result.items.size} (${format})`);
+    } catch (error) {
+      console.error(`[${this.id}] Error fetching feed:`, error);
+      result.fail(source, error);
+    }
+
+    return result.toJSON();
+  }
+
+  // Match patterns for tabs that could belong to this group
+  getTabMatchPattern(config) {
+    const patterns = config.matchPatterns || [];
+    return patterns.length > 0 ? patterns : ["<all_urls>"];
+  }
+
+  // Compiled normalization regex, or null if none is configured
+  normalizeRegExp(config) {
+    if (!config.normalizePattern) return null;
+    try {
+      return new RegExp(config.normalizePattern);
+    } catch {
+      return null;
+    }
+  }
+
+  // Check if a URL belongs to this provider
+  matchesUrl(url, config) {
+    const re = this.normalizeRegExp(config);
+    return re ? re.test(url) : /^https?:\/\//.test(url);
+  }
+
+  // Normalize a URL with the configured regex. The first capture group, or the
+  // whole match if there is none, is the URL's identity.
+  normalizeUrl(url, config) {
+    const re = this.normalizeRegExp(config);
+    const match = re && url.match(re);
+    if (!match) return url;
+    return match[1] !== undefined ? match[1] : match[0];
+  }
+
+  // Get default configuration for this provider
+  getDefaultConfig() {
+    return {
+      enabled: true,
+      feedUrl: "",
+      headers: [],
+      token: "",
+      format: "auto",
+      urlPath: "$.items[*].url",
+      matchPatterns: [],
+      normalizePattern: "",
+      groupTitle: "Custom feed",
+      groupColor: "cyan",
+      pollMinutes: 5,
+      closeMissing: true
+    };
+  }
+
+  // Provider-specific settings shown on the options page
+  getConfigFields() {
+    return [
+      {
+        key: "feedUrl",
+        type: "text",
+        label: "Feed URL",
+        description: "HTTP endpoint that lists the URLs to keep open",
+        placeholder: "https://tools.example.com/api/incidents"
+      },
+      {
+        key: "headers",
+        type: "lines",
+        label: "Request headers",
+        description: "Optional. One <code>Name: value</code> header per line. Kept with the tokens, not exported or synced",
+        rows: 3,
+        // Headers often carry an Authorization or API key header
+        secret: true
+      },
+      {
+        key: "token",
+        type: "password",
+        label: "Auth token",
+        description: "Optional. Sent as <code>Authorization: Bearer …</code> unless an Authorization header is set above"
+      },
+      {
+        key: "format",
+        type: "select",
+        label: "Response format",
+        options: [
+          { value: "auto", label: "Detect automatically" },
+          { value: "json", label: "JSON" },
+          { value: "text", label: "Text, one URL per line" },
+          { value: "feed", label: "RSS/Atom feed" }
+        ]
+      },
+      {
+        key: "urlPath",
+        type: "text",
+        label: "URL path (JSON)",
+        description: "Where the URLs are in a JSON response, e.g. <code>$.items[*].url</code> or <code>$..html_url</code>"
+      },
+      {
+        key: "matchPatterns",
+        type: "lines",
+        label: "Tab match patterns",
+        description: "Optional. Tabs matching these <a href=\"https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/Match_patterns\" target=\"_blank\">match patterns</a> can be adopted into the group. Defaults to all tabs",
+        rows: 3
+      },
+      {
+        key: "normalizePattern",
+        type: "text",
+        label: "URL normalization",
+        description: "Optional regex. URLs with the same first capture group count as the same item, e.g. <code>^(https://tracker\\.example\\.com/incidents/\\d+)</code>"
+      }
+    ];
+  }
+
+  // Validate configuration
+  validateConfig(config) {
+    const errors = [];
+    try {
+      const u = new URL(config.feedUrl);
+      if (u.protocol !== "https:" && u.protocol !== "http:") {
+        errors.push("Feed URL must start with https://");
+      }
+    } catch {
+      errors.push("Feed URL is not valid");
+    }
+    if (config.normalizePattern) {
+      try {
+        new RegExp(config.normalizePattern);
+      } catch {
+        errors.push("URL normalization is not a valid regular expression");
+      }
+    }
+    if (!config.groupTitle) {
+      errors.push("Group title is required");
+    }
+    return errors;
+  }
+}
+
+// Register this provider globally
+if (typeof window.LiveTabGroupsProviders === "undefined") {
+  window.LiveTabGroupsProviders = {};
+}
+window.LiveTabGroupsProviders["custom-feed"] = new CustomFeedProvider();
@@ -0,0 +1,77 @@
+// Structured result returned by provider fetchUrls(), and helpers shared by
+// the providers
+//
+// Every item records which sources (e.g. search queries) returned it, and every
+// source records whether it succeeded and whether it saw all of its results.
+// The sync engine only closes a tab when every source it depends on is healthy.
+
+class FetchResult {
+  constructor() {
+    this.items = new Map();
+    this.sources = [];
+    // False when the provider can't vouch for the absence of any item
+    this.authoritative = true;
+  }
+
+  // Register a source. It is healthy until marked otherwise.
+  addSource(id, label) {
+    const source = { id, label, ok: true, complete: true, error: null };
+    this.sources.push(source);
+    return source;
+  }
+
+  // The source's request failed; it returned nothing usable
+  fail(source, error) {
+    source.ok = false;
+    source.error = error instanceof Error ? error.message : String(error);
+  }
+
+  // The source returned some results but not all of them
+  truncate(source, reason) {
+    source.complete = false;
+    source.error = reason;
+  }
+
+  // Add an item returned by a source. Details are optional metadata such as
+  // title, repo, state, draft, labels, updatedAt and reviewRequested.
+  addItem(source, url, details = {}) {
+    let item = this.items.get(url);
+    if (!item) {
+      item = { url, sources: [] };
+      this.items.set(url, item);
+    }
+    Object.assign(item, details);
+    if (!item.sources.includes(source.id)) item.sources.push(source.id);
+    return item;
+  }
+
+  // Plain object form, safe to pass around and store
+  toJSON() {
+    return {
+      items: Array.from(this.items.values()),
+      sources: this.sources,
+      authoritative: this.authoritative
+    };
+  }
+}
+
+// Thrown by a provider when an API asks it to slow down. The sync engine
+// defers the group until retryAt (ms since epoch) instead of failing it.
+class RateLimitError extends Error {
+  constructor(message, retryAt) {
+    super(message);
+    this.name = "RateLimitError";
+    this.retryAt = retryAt;
+  }
+}
+
+// A URL the way the browser shows it, e.g. "https://example.com" becomes
+// "https://example.com/", so providers whose URLs are typed in by the user
+// recognize existing tabs
+function browserUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,528 @@
+// Shared base for the GitHub providers
+// Handles authentication, rate limits and the /search/issues API; subclasses
+// decide which result items to keep and which tab URLs belong to them.
+// Works with github.com and GitHub Enterprise Server.
+
+// Search pages are cached with their ETag so unchanged results can be
+// revalidated with a conditional request, which GitHub doesn't count against
+// the rate limit. Entries older than this are dropped.
+const GITHUB_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Scopes asked for when signing in with GitHub
+const GITHUB_OAUTH_SCOPES = "repo";
+
+class GitHubSearchProvider {
+  // Path of an item's page, e.g. /owner/repo/pull/123. Subclasses override this.
+  get pathPattern() {
+    return /^(\/[^/]+\/[^/]+\/(?:pull|issues)\/\d+)/;
+  }
+
+  // Web address without trailing slash, https://github.com or a GitHub Enterprise Server
+  webUrl(config) {
+    return (config.webUrl || "https://github.com").trim().replace(/\/+$/, "");
+  }
+
+  webHost(config) {
+    try {
+      return new URL(this.webUrl(config)).hostname;
+    } catch {
+      return "github.com";
+    }
+  }
+
+  // REST API base. GitHub Enterprise Server serves it at /api/v3 unless set otherwise.
+  apiUrl(config) {
+    if (config.apiUrl && config.apiUrl.trim()) return config.apiUrl.trim().replace(/\/+$/, "");
+    const web = this.webUrl(config);
+    return this.webHost(config) === "github.com" ? "https://api.github.com" : `${web}/api/v3`;
+  }
+
+  // GraphQL endpoint: api.github.com/graphql, or /api/graphql on a server
+  graphqlUrl(config) {
+    return `${this.apiUrl(config).replace(/\/v3$/, "")}/graphql`;
+  }
+
+  // Origins the extension needs access to. github.com is covered by the
+  // manifest; a GitHub Enterprise Server has to be granted at runtime.
+  getHostPermissions(config) {
+    try {
+      const origins = [this.webUrl(config), this.apiUrl(config)].map(url => {
+        const u = new URL(url);
+        return `${u.protocol}//${u.hostname}/*`;
+      });
+      return Array.from(new Set(origins));
+    } catch {
+      return [];
+    }
+  }
+
+  // Pages the unsaved work content script has to be registered for at
+  // runtime. The manifest already covers github.com.
+  getUnsavedWorkMatches(config) {
+    return this.webHost(config) === "github.com" ? [] : [].concat(this.getTabMatchPattern(config));
+  }
+
+  async ensureAccess(config) {
+    const origins = this.getHostPermissions(config);
+    if (!(await browser.permissions.contains({ origins }))) {
+      throw new Error(`Access to ${this.webUrl(config)} has not been granted`);
+    }
+  }
+
+  // Problems with the GitHub and API URLs
+  validateUrls(config) {
+    const errors = [];
+    for (const [label, url] of [["GitHub URL", this.webUrl(config)], ["API URL", this.apiUrl(config)]]) {
+      try {
+        const u = new URL(url);
+        if (u.protocol !== "https:" && u.protocol !== "http:") {
+          errors.push(`${label} must start with https://`);
+        }
+      } catch {
+        errors.push(`${label} is not valid`);
+      }
+    }
+    return errors;
+  }
+
+  // Settings for the GitHub host, shown first on the options page
+  hostFields() {
+    return [
+      {
+        key: "webUrl",
+        type: "text",
+        label: "GitHub URL",
+        description: "<code>https://github.com</code> or the address of your GitHub Enterprise Server",
+        placeholder: "https://github.example.com"
+      },
+      {
+        key: "apiUrl",
+        type: "text",
+        label: "API URL",
+        description: "Optional. Defaults to <code>https://api.github.com</code> for github.com and <code>/api/v3</code> on a GitHub Enterprise Server",
+        placeholder: "https://github.example.com/api/v3"
+      }
+    ];
+  }
+
+  // Settings for signing in, shown after the host
+  authFields() {
+    return [
+      {
+        key: "token",
+        type: "password",
+        label: "GitHub Personal Access Token",
+        description: 'Classic token with <code>repo</code> scope, or a fine-grained token with read access to issues and pull requests. Create at <a href="https://github.com/settings/tokens" target="_blank">github.com/settings/tokens</a>',
+        placeholder: "ghp_..."
+      },
+      {
+        key: "oauthClientId",
+        type: "text",
+        label: "OAuth client ID",
+        description: "Optional. Client ID of a GitHub OAuth app or GitHub App with device flow enabled, to sign in with GitHub instead of pasting a token"
+      }
+    ];
+  }
+
+  // How many search pages to read, see searchIssues
+  maxPagesField() {
+    return {
+      key: "maxPages",
+      type: "number",
+      label: "Maximum pages per query",
+      description: "Each page holds up to 100 results. GitHub search returns at most 10 pages. Tabs are never auto-closed for a query with more results than this",
+      min: 1
+    };
+  }
+
+  // Request headers for the GitHub API
+  headers(config) {
+    return {
+      Authorization: `Bearer ${config.token}`,
+      Accept: "application/vnd.github+json"
+    };
+  }
+
+  // Short hash of the token, so cached data can be keyed by it without storing it
+  async tokenKey(config) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(config.token));
+    return Array.from(new Uint8Array(digest).slice(0, 8), b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  // Rate limit bucket a request counts against
+  rateLimitResource(url) {
+    if (url.includes("/search/")) return "search";
+    if (url.endsWith("/graphql")) return "graphql";
+    return "core";
+  }
+
+  // Fetch from the GitHub API, keeping track of rate limits. Requests to a
+  // bucket that is used up aren't sent until it resets; a response asking us
+  // to slow down throws a RateLimitError with the time to retry at.
+  async request(config, url, options = {}) {
+    const resource = this.rateLimitResource(url);
+    // Each server has its own limits
+    const limitKey = `${new URL(url).host} ${resource}`;
+    const { githubRateLimits = {} } = await browser.storage.session.get("githubRateLimits");
+    const until = githubRateLimits[limitKey] || 0;
+    if (until > Date.now()) {
+      throw new RateLimitError(`GitHub ${resource} rate limit reached`, until);
+    }
+
+    const r = await fetch(url, {
+      ...options,
+      headers: { ...this.headers(config), ...options.headers }
+    });
+
+    // Retry-After is set for secondary rate limits, X-RateLimit-* for primary ones
+    const remaining = r.headers.get("X-RateLimit-Remaining");
+    const reset = Number(r.headers.get("X-RateLimit-Reset")) * 1000;
+    const retryAfter = Number(r.headers.get("Retry-After")) * 1000;
+    let retryAt = 0;
+    if ((r.status === 403 || r.status === 429) && retryAfter) {
+      retryAt = Date.now() + retryAfter;
+    } else if (remaining === "0" && reset) {
+      retryAt = reset;
+    }
+
+    if (retryAt) {
+      console.warn(`[${this.id}] ⚠️ GitHub ${resource} rate limit reached, backing off until ${new Date(retryAt).toLocaleTimeString()}`);
+      // Other groups sync at the same time, see updateStorage
+      await updateStorage("session", "githubRateLimits", (limits = {}) => ({ ...limits, [limitKey]: Math.max(limits[limitKey] || 0, retryAt) }));
+      // The last allowed request still got its answer
+      if (r.status === 403 || r.status === 429) {
+        throw new RateLimitError(`GitHub ${resource} rate limit reached`, retryAt);
+      }
+    }
+    return r;
+  }
+
+  // Look up the token's user, scopes and expiry from /user and remember them.
+  // Classic tokens list their scopes in X-OAuth-Scopes; fine-grained tokens
+  // and GitHub App tokens have none.
+  async checkToken(config) {
+    const r = await this.request(config, `${this.apiUrl(config)}/user`);
+    if (r.status === 401) throw new Error("Token is invalid or expired");
+    if (!r.ok) throw new Error(`GitHub /user ${r.status}`);
+    const j = await r.json();
+
+    const scopes = r.headers.get("X-OAuth-Scopes");
+    const expiration = r.headers.get("GitHub-Authentication-Token-Expiration");
+    const info = {
+      login: j.login,
+      scopes: scopes === null ? null : scopes.split(",").map(s => s.trim()).filter(Boolean),
+      expiresAt: expiration ? Date.parse(expiration.replace(" UTC", "Z").replace(" ", "T")) : null
+    };
+
+    const key = await this.tokenKey(config);
+    await updateStorage("local", "githubUsers", (githubUsers = {}) => ({ ...githubUsers, [key]: info }));
+    return info;
+  }
+
+  // Problems with a token, from what checkToken found
+  tokenProblems(info) {
+    const problems = [];
+    if (info.scopes && !info.scopes.includes("repo")) {
+      problems.push("The token lacks the repo scope, so items in private repositories are left out");
+    }
+    if (info.expiresAt && info.expiresAt - Date.now() < 7 * 24 * 60 * 60 * 1000) {
+      problems.push(`The token expires on ${new Date(info.expiresAt).toLocaleDateString()}`);
+    }
+    return problems;
+  }
+
+  // Get GitHub username from token. It never changes for a token, so it is
+  // only looked up once.
+  async getUsername(config) {
+    const key = await this.tokenKey(config);
+    const { githubUsers = {} } = await browser.storage.local.get("githubUsers");
+    // Older versions stored just the login
+    const cached = githubUsers[key];
+    if (cached) return typeof cached === "string" ? cached : cached.login;
+
+    return (await this.checkToken(config)).login;
+  }
+
+  // Credentials from a GitHub OAuth token response. Tokens of GitHub Apps
+  // expire and come with a refresh token; those of OAuth apps don't.
+  oauthCredentials(j) {
+    const now = Date.now();
+    return {
+      token: j.access_token,
+      oauth: {
+        refreshToken: j.refresh_token || null,
+        expiresAt: j.expires_in ? now + j.expires_in * 1000 : null,
+        refreshTokenExpiresAt: j.refresh_token_expires_in ? now + j.refresh_token_expires_in * 1000 : null,
+        scopes: j.scope || ""
+      }
+    };
+  }
+
+  async oauthRequest(config, path, params) {
+    const r = await fetch(`${this.webUrl(config)}/login/${path}`, {
+      method: "POST",
+      headers: { Accept: "application/json", "Content-Type": "application/json" },
+      body: JSON.stringify(params)
+    });
+    if (!r.ok) throw new Error(`GitHub sign-in failed: ${r.status} ${r.statusText}`);
+    return r.json();
+  }
+
+  // Start signing in with the OAuth device flow. The user enters user_code
+  // at verification_uri, while pollDeviceFlow waits for them to finish.
+  async startDeviceFlow(config) {
+    if (!config.oauthClientId) {
+      throw new Error("Set the OAuth client ID of a GitHub app with device flow enabled first");
+    }
+    const j = await this.oauthRequest(config, "device/code", { client_id: config.oauthClientId, scope: GITHUB_OAUTH_SCOPES });
+    if (j.error) throw new Error(j.error_description || j.error);
+    return j;
+  }
+
+  // Wait until the user finished signing in and return their credentials
+  async pollDeviceFlow(config, device) {
+    let interval = device.interval || 5;
+    const deadline = Date.now() + device.expires_in * 1000;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, interval * 1000));
+      const j = await this.oauthRequest(config, "oauth/access_token", {
+        client_id: config.oauthClientId,
+        device_code: device.device_code,
+        grant_type: "urn:ietf:params:oauth:grant-type:device_code"
+      });
+      if (j.access_token) return this.oauthCredentials(j);
+      if (j.error === "slow_down") {
+        interval = j.interval || interval + 5;
+      } else if (j.error !== "authorization_pending") {
+        throw new Error(j.error_description || j.error);
+      }
+    }
+    throw new Error("The sign-in code expired, try again");
+  }
+
+  // Swap a refresh token for a new access token
+  async refreshCredentials(config, creds) {
+    const j = await this.oauthRequest(config, "oauth/access_token", {
+      client_id: config.oauthClientId,
+      grant_type: "refresh_token",
+      refresh_token: creds.oauth.refreshToken
+    });
+    if (!j.access_token) {
+      throw new Error(`GitHub sign-in expired, sign in again (${j.error_description || j.error})`);
+    }
+    return this.oauthCredentials(j);
+  }
+
+  // Whether a /search/issues result item belongs to this provider
+  keepItem(item) {
+    return Boolean(item.html_url);
+  }
+
+  // Metadata kept from a /search/issues result item
+  itemDetails(item) {
+    return {
+      title: item.title,
+      number: item.number,
+      // repository_url is https://api.github.com/repos/owner/repo
+      repo: item.repository_url ? item.repository_url.split("/repos/")[1] : undefined,
+      state: item.state,
+      draft: Boolean(item.draft),
+      labels: (item.labels || []).map(l => l.name),
+      updatedAt: item.updated_at,
+      nodeId: item.node_id
+    };
+  }
+
+  // Add extra metadata to the fetched items. Subclasses may override this.
+  async enrichItems(config, result) {}
+
+  // URL of the next page from a Link header, or null on the last page
+  nextPageUrl(r) {
+    const link = r.headers.get("Link") || "";
+    const match = link.match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+  }
+
+  // The fields of a /search/issues result item that are used, to keep the cache small
+  slimItem(item) {
+    const { html_url, pull_request, title, number, repository_url, state, draft, labels, updated_at, node_id } = item;
+    return {
+      html_url, title, number, repository_url, state, draft, updated_at, node_id,
+      pull_request: pull_request ? {} : undefined,
+      labels: (labels || []).map(l => ({ name: l.name }))
+    };
+  }
+
+  // Fetch one page of search results, revalidating a cached copy if we have one.
+  // Returns { total_count, incomplete_results, items, next }.
+  async searchPage(config, url, query) {
+    const cacheKey = `${await this.tokenKey(config)} ${url}`;
+    const { githubCache = {} } = await browser.storage.session.get("githubCache");
+    const cached = githubCache[cacheKey];
+
+    const r = await this.request(config, url, cached ? { headers: { "If-None-Match": cached.etag } } : {});
+    if (r.status === 304 && cached) {
+      console.log(`[${this.id}] Not modified, using cached page`);
+      return cached.page;
+    }
+
+    if (!r.ok) {
+      const errorText = await r.text();
+      console.error(`[${this.id}] GitHub API error for query "${query}": ${r.status} ${r.statusText}`);
+      console.error(`[${this.id}] Response body:`, errorText);
+
+      let error = `GitHub API error ${r.status} ${r.statusText}`;
+      // Fine-grained tokens say which permission they are missing
+      const accepted = r.headers.get("X-Accepted-GitHub-Permissions");
+      if (r.status === 403 && accepted) {
+        error = `The token is missing a permission GitHub requires: ${accepted}`;
+      } else if (r.status === 401 || r.status === 403) {
+        // If auth fails, this is critical
+        console.error(`[${this.id}] ⚠️ Authentication failed! Token may be invalid or expired.`);
+        error = `Authentication failed (${r.status}). Token may be invalid or expired`;
+      }
+      throw new Error(error);
+    }
+
+    const j = await r.json();
+    const page = {
+      total_count: j.total_count,
+      incomplete_results: j.incomplete_results,
+      items: (j.items || []).map(it => this.slimItem(it)),
+      next: this.nextPageUrl(r)
+    };
+
+    const etag = r.headers.get("ETag");
+    if (etag) {
+      const now = Date.now();
+      await updateStorage("session", "githubCache", (stored = {}) => {
+        const kept = Object.fromEntries(Object.entries(stored).filter(([, entry]) => now - entry.storedAt <= GITHUB_CACHE_MAX_AGE));
+        return { ...kept, [cacheKey]: { etag, page, storedAt: now } };
+      });
+    }
+    return page;
+  }
+
+  // Run search queries against /search/issues and add kept items to the result,
+  // one source per query. Follows rel="next" pages up to config.maxPages; a query
+  // with results beyond that is marked incomplete.
+  async searchIssues(config, queries, username, result) {
+    console.log(`[${this.id}] Processing ${queries.length} queries`);
+    const maxPages = Math.max(1, config.maxPages || 1);
+
+    // Execute all queries and combine results
+    for (const query of queries) {
+      if (!query || !query.trim()) continue;
+
+      const source = result.addSource(`query:${query}`, query);
+      // Items found by a review request query are waiting on the user's review
+      const reviewRequested = /\b(team-)?review-requested:/.test(query);
+      const resolvedQuery = query.replace(/@me/g, username);
+      let url = `${this.apiUrl(config)}/search/issues?q=${encodeURIComponent(resolvedQuery)}&per_page=100`;
+
+      console.log(`[${this.id}] Executing query: "${query}"`);
+      console.log(`[${this.id}] Resolved to: "${resolvedQuery}"`);
+
+      let page = 0;
+      let fetched = 0;
+      let total = 0;
+
+      try {
+        while (url && page < maxPages) {
+          const j = await this.searchPage(config, url, query);
+          page++;
+          total = j.total_count;
+          fetched += j.items?.length || 0;
+          console.log(`[${this.id}] Query returned ${j.total_count} total results, ${j.items?.length || 0} items in page ${page}`);
+
+          // GitHub sets incomplete_results when the search timed out
+          if (j.incomplete_results) {
+            result.truncate(source, "GitHub search timed out and returned partial results");
+          }
+
+          const items = (j.items || []).filter(it => this.keepItem(it));
+          console.log(`[${this.id}] Found ${items.length} items from this page`);
+          items.forEach(it => result.addItem(source, it.html_url, {
+            ...this.itemDetails(it),
+            ...(reviewRequested ? { reviewRequested: true } : {})
+          }));
+
+          url = j.next;
+        }
+
+        if (url || fetched < total) {
+          console.warn(`[${this.id}] ⚠️ Query "${query}" is truncated: got ${fetched} of ${total} results`);
+          result.truncate(source, `Truncated: got ${fetched} of ${total} results`);
+          source.fetched = fetched;
+          source.total = total;
+        }
+      } catch (error) {
+        // Rate limits defer the whole sync
+        if (error instanceof RateLimitError) throw error;
+        console.error(`[${this.id}] Error fetching query "${query}":`, error);
+        // Later pages failing leaves the results we already have incomplete
+        if (page > 0) {
+          result.truncate(source, `Stopped after page ${page}: ${error.message}`);
+        } else {
+          result.fail(source, error);
+        }
+      }
+    }
+  }
+
+  // A result for a group that can't be fetched at all, e.g. without a token
+  unavailable(reason) {
+    console.warn(`[${this.id}] ${reason}`);
+    const result = new FetchResult();
+    result.authoritative = false;
+    result.fail(result.addSource("config", "Configuration"), reason);
+    return result.toJSON();
+  }
+
+  // Fetch items from GitHub API
+  async fetchUrls(config) {
+    if (!config.token) {
+      return this.unavailable("No GitHub token configured");
+    }
+
+    await this.ensureAccess(config);
+    console.log(`[${this.id}] Fetching username...`);
+    const username = await this.getUsername(config);
+    console.log(`[${this.id}] Username: ${username}`);
+
+    const result = new FetchResult();
+    const queries = Array.isArray(config.queries) ? config.queries : [config.query || config.queries];
+    await this.searchIssues(config, queries, username, result);
+    await this.enrichItems(config, result);
+
+    console.log(`[${this.id}] ✓ Total unique items found: ${result.items.size}`);
+    return result.toJSON();
+  }
+
+  // Check if a URL belongs to this provider
+  matchesUrl(url, config = {}) {
+    try {
+      const u = new URL(url);
+      return u.hostname === this.webHost(config) && this.pathPattern.test(u.pathname);
+    } catch {
+      return false;
+    }
+  }
+
+  // Normalize item URL to base form (remove sub-paths like /files, anchors, etc.)
+  normalizeUrl(url, config = {}) {
+    try {
+      const u = new URL(url);
+      if (u.hostname === this.webHost(config)) {
+        // Strip everything after the item number
+        const match = u.pathname.match(this.pathPattern);
+        if (match) {
+          return `${u.origin}${match[1]}`;
+        }
+      }
+      return url;
+    } catch {
+      return url;
+    }
+  }
+}
@@ -0,0 +1,170 @@
+// GitHub Issues Provider for Live Tab Groups
+// This provider syncs GitHub issues, and optionally discussions, into a tab group
+
+const DISCUSSION_SEARCH_QUERY = `
+  query($q: String!) {
+    search(query: $q, type: DISCUSSION, first: 100) {
+      discussionCount
+      nodes {
+        ... on Discussion {
+          url
+          title
+          number
+          updatedAt
+          repository { nameWithOwner }
+        }
+      }
+    }
+  }
+`;
+
+class GitHubIssuesProvider extends GitHubSearchProvider {
+  constructor() {
+    super();
+    this.id = "github-issues";
+    this.name = "GitHub Issues & Discussions";
+    this.description = "Syncs your GitHub issues and discussions into a tab group";
+  }
+
+  get pathPattern() {
+    // Match /owner/repo/issues/123 and /owner/repo/discussions/123
+    return /^(\/[^/]+\/[^/]+\/(?:issues|discussions)\/\d+)/;
+  }
+
+  // Keep only issues; /search/issues also returns PRs unless the query says is:issue
+  keepItem(item) {
+    return Boolean(!item.pull_request && item.html_url);
+  }
+
+  // Search discussions through the GraphQL API, which /search/issues doesn't cover
+  async searchDiscussions(config, queries, username, result) {
+    for (const query of queries) {
+      if (!query || !query.trim()) continue;
+
+      const source = result.addSource(`discussion:${query}`, `Discussions: ${query}`);
+      const resolvedQuery = query.replace(/@me/g, username);
+      console.log(`[${this.id}] Executing discussion query: "${query}"`);
+
+      try {
+        const r = await this.request(config, this.graphqlUrl(config), {
+          method: "POST",
+          body: JSON.stringify({ query: DISCUSSION_SEARCH_QUERY, variables: { q: resolvedQuery } })
+        });
+
+        if (!r.ok) {
+          throw new Error(`GitHub GraphQL error ${r.status} ${r.statusText}`);
+        }
+
+        const j = await r.json();
+        if (j.errors) {
+          throw new Error(j.errors.map(e => e.message).join("; "));
+        }
+
+        const nodes = (j.data?.search?.nodes || []).filter(node => node && node.url);
+        console.log(`[${this.id}] Found ${nodes.length} discussions from this query`);
+        nodes.forEach(node => result.addItem(source, node.url, {
+          title: node.title,
+          number: node.number,
+          repo: node.repository?.nameWithOwner,
+          updatedAt: node.updatedAt
+        }));
+
+        const total = j.data?.search?.discussionCount || 0;
+        if (total > nodes.length) {
+          result.truncate(source, `Truncated: got ${nodes.length} of ${total} discussions`);
+        }
+      } catch (error) {
+        if (error instanceof RateLimitError) throw error;
+        console.error(`[${this.id}] Error fetching discussion query "${query}":`, error);
+        result.fail(source, error);
+      }
+    }
+  }
+
+  // Fetch issues and discussions from GitHub API
+  async fetchUrls(config) {
+    if (!config.token) {
+      return this.unavailable("No GitHub token configured");
+    }
+
+    await this.ensureAccess(config);
+    const username = await this.getUsername(config);
+    console.log(`[${this.id}] Username: ${username}`);
+
+    const result = new FetchResult();
+    await this.searchIssues(config, config.queries || [], username, result);
+    await this.searchDiscussions(config, config.discussionQueries || [], username, result);
+
+    console.log(`[${this.id}] ✓ Total unique items found: ${result.items.size}`);
+    return result.toJSON();
+  }
+
+  // Match patterns for tabs that could belong to this group
+  getTabMatchPattern(config) {
+    const host = this.webHost(config);
+    return [`*://${host}/*/*/issues/*`, `*://${host}/*/*/discussions/*`];
+  }
+
+  // Get default configuration for this provider
+  getDefaultConfig() {
+    return {
+      enabled: true,
+      webUrl: "https://github.com",
+      apiUrl: "",
+      token: "",
+      oauthClientId: "",
+      queries: [
+        "is:issue is:open assignee:@me"
+      ],
+      discussionQueries: [],
+      groupTitle: "Assigned issues",
+      groupColor: "yellow",
+      maxPages: 10,
+      pollMinutes: 5,
+      closeMissing: true
+    };
+  }
+
+  // Provider-specific settings shown on the options page
+  getConfigFields() {
+    return [
+      ...this.hostFields(),
+      ...this.authFields(),
+      {
+        key: "queries",
+        type: "lines",
+        label: "Issue search queries",
+        description: "One query per line. Pull requests are left out. Use <code>@me</code> as a placeholder for your username"
+      },
+      this.maxPagesField(),
+      {
+        key: "discussionQueries",
+        type: "lines",
+        label: "Discussion search queries",
+        description: "Optional. One query per line, e.g. <code>repo:owner/name is:open author:@me</code>",
+        rows: 3
+      }
+    ];
+  }
+
+  // Validate configuration
+  validateConfig(config) {
+    const errors = this.validateUrls(config);
+    if (!config.token) {
+      errors.push("GitHub token is required");
+    }
+    if (!config.queries?.length && !config.discussionQueries?.length) {
+      errors.push("At least one issue or discussion query is required");
+    }
+    if (!config.groupTitle) {
+      errors.push("Group title is required");
+    }
+    return errors;
+  }
+}
+
+// Register this provider globally
+if (typeof window.LiveTabGroupsProviders === "undefined") {
+  window.LiveTabGroupsProviders = {};
+}
+window.LiveTabGroupsProviders["github-issues"] = new GitHubIssuesProvider();
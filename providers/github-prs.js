@@ -1,143 +1,142 @@
 // GitHub PR Provider for Live Tab Groups
 // This provider syncs GitHub pull requests into a tab group
 
-class GitHubPRProvider {
+const PR_DETAILS_QUERY = `
+  query($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on PullRequest {
+        id
+        reviewDecision
+        merged
+        commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }
+      }
+    }
+  }
+`;
+
+class GitHubPRProvider extends GitHubSearchProvider {
   constructor() {
+    super();
     this.id = "github-prs";
     this.name = "GitHub Pull Requests";
     this.description = "Syncs your GitHub PRs into a tab group";
   }
 
-  // Get GitHub username from token
-  async getUsername(config) {
-    const r = await fetch("https://api.github.com/user", {
-      headers: {
-        Authorization: `Bearer ${config.token}`,
-        Accept: "application/vnd.github+json"
-      }
-    });
-    if (!r.ok) throw new Error(`GitHub /user ${r.status}`);
-    const j = await r.json();
-    return j.login;
+  get pathPattern() {
+    // Match /owner/repo/pull/123
+    return /^(\/[^/]+\/[^/]+\/pull\/\d+)/;
   }
 
-  // Fetch PR URLs from GitHub API
-  async fetchUrls(config) {
-    if (!config.token) {
-      console.warn(`[${this.id}] No GitHub token configured`);
-      return [];
-    }
-
-    console.log(`[${this.id}] Fetching username...`);
-    const username = await this.getUsername(config);
-    console.log(`[${this.id}] Username: ${username}`);
-
-    const queries = Array.isArray(config.queries) ? config.queries : [config.query || config.queries];
-    console.log(`[${this.id}] Processing ${queries.length} queries`);
-    const allUrls = new Set();
-
-    // Execute all queries and combine results
-    for (const query of queries) {
-      if (!query || !query.trim()) continue;
-
-      const resolvedQuery = query.replace(/@me/g, username);
-      const url = `https://api.github.com/search/issues?q=${encodeURIComponent(resolvedQuery)}&per_page=100`;
+  // Keep only PRs
+  keepItem(item) {
+    return Boolean(item.pull_request && item.html_url);
+  }
 
-      console.log(`[${this.id}] Executing query: "${query}"`);
-      console.log(`[${this.id}] Resolved to: "${resolvedQuery}"`);
+  // Add each PR's review decision and the state of its checks (ciState, e.g.
+  // "SUCCESS" or "FAILURE"), which the search API doesn't return. Merged PRs get
+  // the state "merged". Best effort: items keep their search metadata if this fails.
+  async enrichItems(config, result) {
+    const items = Array.from(result.items.values()).filter(item => item.nodeId);
 
+    for (let i = 0; i < items.length; i += 100) {
+      const batch = items.slice(i, i + 100);
       try {
-        const r = await fetch(url, {
-          headers: {
-            Authorization: `Bearer ${config.token}`,
-            Accept: "application/vnd.github+json"
-          }
+        const r = await this.request(config, this.graphqlUrl(config), {
+          method: "POST",
+          body: JSON.stringify({ query: PR_DETAILS_QUERY, variables: { ids: batch.map(item => item.nodeId) } })
         });
-
-        if (!r.ok) {
-          const errorText = await r.text();
-          console.error(`[${this.id}] GitHub API error for query "${query}": ${r.status} ${r.statusText}`);
-          console.error(`[${this.id}] Response body:`, errorText);
-
-          // If auth fails, this is critical
-          if (r.status === 401 || r.status === 403) {
-            console.error(`[${this.id}] ⚠️ Authentication failed! Token may be invalid or expired.`);
-          }
-          continue;
-        }
+        if (!r.ok) throw new Error(`GitHub GraphQL error ${r.status} ${r.statusText}`);
 
         const j = await r.json();
-        console.log(`[${this.id}] Query returned ${j.total_count} total results, ${j.items?.length || 0} items in this page`);
-
-        // Keep only PRs
-        const urls = (j.items || [])
-          .filter(it => it.pull_request && it.html_url)
-          .map(it => it.html_url);
-
-        console.log(`[${this.id}] Found ${urls.length} PRs from this query`);
-        urls.forEach(u => allUrls.add(u));
+        for (const node of j.data?.nodes || []) {
+          const item = node && batch.find(it => it.nodeId === node.id);
+          if (!item) continue;
+          item.reviewDecision = node.reviewDecision;
+          item.ciState = node.commits?.nodes?.[0]?.commit?.statusCheckRollup?.state || null;
+          if (node.merged) item.state = "merged";
+        }
       } catch (error) {
-        console.error(`[${this.id}] Error fetching query "${query}":`, error);
+        console.warn(`[${this.id}] Could not fetch review decisions:`, error);
       }
     }
-
-    console.log(`[${this.id}] ✓ Total unique PRs found: ${allUrls.size}`);
-    return Array.from(allUrls);
-  }
-
-  // Match pattern for tabs that could belong to this group
-  getTabMatchPattern() {
-    return "*://github.com/*/*/pull/*";
   }
 
-  // Check if a URL belongs to this provider
-  matchesUrl(url) {
-    try {
-      const u = new URL(url);
-      return u.hostname === "github.com" && /\/pull\/\d+/.test(u.pathname);
-    } catch {
-      return false;
+  // Current state ("open", "closed" or "merged") of PRs that dropped out of the
+  // results, to tell merged ones apart. Returns [{ url, state }], leaving out
+  // PRs that couldn't be looked up.
+  async lookupItems(config, urls) {
+    const found = [];
+    for (let i = 0; i < urls.length; i += 50) {
+      const batch = urls.slice(i, i + 50);
+      const params = batch.map((url, n) => `$u${n}: URI!`).join(", ");
+      const fields = batch.map((url, n) => `i${n}: resource(url: $u${n}) { ... on PullRequest { url state } }`).join("\n");
+      const r = await this.request(config, this.graphqlUrl(config), {
+        method: "POST",
+        body: JSON.stringify({
+          query: `query(${params}) {\n${fields}\n}`,
+          variables: Object.fromEntries(batch.map((url, n) => [`u${n}`, url]))
+        })
+      });
+      if (!r.ok) throw new Error(`GitHub GraphQL error ${r.status} ${r.statusText}`);
+
+      const j = await r.json();
+      for (const node of Object.values(j.data || {})) {
+        if (node && node.url) found.push({ url: node.url, state: node.state.toLowerCase() });
+      }
     }
+    return found;
   }
 
-  // Normalize PR URL to base form (remove sub-paths like /files, /commits, etc.)
-  normalizeUrl(url) {
-    try {
-      const u = new URL(url);
-      if (u.hostname === "github.com") {
-        // Match /owner/repo/pull/123 and strip everything after the PR number
-        const match = u.pathname.match(/^(\/[^/]+\/[^/]+\/pull\/\d+)/);
-        if (match) {
-          return `${u.origin}${match[1]}`;
-        }
-      }
-      return url;
-    } catch {
-      return url;
-    }
+  // Match pattern for tabs that could belong to this group
+  getTabMatchPattern(config) {
+    return `*://${this.webHost(config)}/*/*/pull/*`;
   }
 
   // Get default configuration for this provider
   getDefaultConfig() {
     return {
       enabled: true,
+      webUrl: "https://github.com",
+      apiUrl: "",
       token: "",
-      query: "is:pr is:open involves:@me archived:false",
+      oauthClientId: "",
+      queries: [
+        "is:pr is:open review-requested:@me",
+        "is:pr is:open assignee:@me",
+        "is:pr is:open mentions:@me",
+        "is:pr is:open author:@me"
+      ],
       groupTitle: "GitHub PRs",
       groupColor: "blue",
+      maxPages: 10,
       pollMinutes: 5,
       closeMissing: true
     };
   }
 
+  // Provider-specific settings shown on the options page
+  getConfigFields() {
+    return [
+      ...this.hostFields(),
+      ...this.authFields(),
+      {
+        key: "queries",
+        type: "lines",
+        label: "Search queries",
+        description: "One query per line. Results from all queries are combined. Use <code>@me</code> as a placeholder for your username"
+      },
+      this.maxPagesField()
+    ];
+  }
+
   // Validate configuration
   validateConfig(config) {
-    const errors = [];
+    const errors = this.validateUrls(config);
     if (!config.token) {
       errors.push("GitHub token is required");
     }
-    if (!config.query) {
-      errors.push("Search query is required");
+    if (!config.queries || config.queries.length === 0) {
+      errors.push("At least one search query is required");
     }
     if (!config.groupTitle) {
       errors.push("Group title is required");
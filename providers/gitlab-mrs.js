@@ -0,0 +1,286 @@
+// GitLab Merge Request Provider for Live Tab Groups
+// This provider syncs merge requests from gitlab.com or a self-hosted instance into a tab group
+
+class GitLabMRProvider {
+  constructor() {
+    this.id = "gitlab-mrs";
+    this.name = "GitLab Merge Requests";
+    this.description = "Syncs your GitLab merge requests into a tab group";
+  }
+
+  // Instance URL without trailing slash
+  baseUrl(config) {
+    return (config.instanceUrl || "https://gitlab.com").trim().replace(/\/+$/, "");
+  }
+
+  // Request headers for the GitLab API
+  headers(config) {
+    return {
+      "PRIVATE-TOKEN": config.token,
+      Accept: "application/json"
+    };
+  }
+
+  // Origins the extension needs access to for this instance
+  getHostPermissions(config) {
+    try {
+      const u = new URL(this.baseUrl(config));
+      return [`${u.protocol}//${u.hostname}/*`];
+    } catch {
+      return [];
+    }
+  }
+
+  // Get the user the token belongs to
+  async getCurrentUser(config) {
+    const r = await fetch(`${this.baseUrl(config)}/api/v4/user`, {
+      headers: this.headers(config)
+    });
+    if (!r.ok) throw new Error(`GitLab /user ${r.status}`);
+    const j = await r.json();
+    return { id: j.id, username: j.username };
+  }
+
+  // Turn a query line like "reviewer_username=@me" into API parameters.
+  // @me resolves to the user ID for *_id parameters and the username otherwise.
+  resolveQuery(query, user) {
+    const params = new URLSearchParams(query.trim().replace(/^\?/, ""));
+    for (const [key, value] of params) {
+      if (value === "@me") {
+        params.set(key, key.endsWith("_id") ? String(user.id) : user.username);
+      }
+    }
+    // The API only returns MRs created by the user unless the scope is widened
+    if (!params.has("scope")) params.set("scope", "all");
+    if (!params.has("state")) params.set("state", "opened");
+    params.set("per_page", "100");
+    return params;
+  }
+
+  // Fetch one page of MRs. Returns { mrs, next, total }, where next is the
+  // following page number from X-Next-Page, or null on the last page.
+  async fetchPage(config, params, query) {
+    const url = `${this.baseUrl(config)}/api/v4/merge_requests?${params}`;
+    const r = await fetch(url, {
+      headers: this.headers(config)
+    });
+
+    if (!r.ok) {
+      const errorText = await r.text();
+      console.error(`[${this.id}] GitLab API error for query "${query}": ${r.status} ${r.statusText}`);
+      console.error(`[${this.id}] Response body:`, errorText);
+
+      if (r.status === 401 || r.status === 403) {
+        console.error(`[${this.id}] ⚠️ Authentication failed! Token may be invalid or expired.`);
+        throw new Error(`Authentication failed (${r.status}). Token may be invalid or expired`);
+      }
+      throw new Error(`GitLab API error ${r.status} ${r.statusText}`);
+    }
+
+    const j = await r.json();
+    return {
+      mrs: j.filter(mr => mr.web_url),
+      next: r.headers.get("X-Next-Page") || null,
+      // GitLab leaves X-Total out for large result sets
+      total: r.headers.get("X-Total")
+    };
+  }
+
+  // Fetch MRs from GitLab API, one source per query. Follows X-Next-Page up to
+  // config.maxPages; a query with results beyond that is marked incomplete.
+  async fetchUrls(config) {
+    const result = new FetchResult();
+
+    if (!config.token) {
+      console.warn(`[${this.id}] No GitLab token configured`);
+      result.authoritative = false;
+      result.fail(result.addSource("config", "Configuration"), "No GitLab token configured");
+      return result.toJSON();
+    }
+
+    const origins = this.getHostPermissions(config);
+    if (!(await browser.permissions.contains({ origins }))) {
+      throw new Error(`Access to ${this.baseUrl(config)} has not been granted`);
+    }
+
+    const user = await this.getCurrentUser(config);
+    console.log(`[${this.id}] Username: ${user.username}`);
+
+    const queries = config.queries || [];
+    const maxPages = Math.max(1, config.maxPages || 1);
+    console.log(`[${this.id}] Processing ${queries.length} queries`);
+
+    for (const query of queries) {
+      if (!query || !query.trim()) continue;
+
+      const source = result.addSource(`query:${query}`, query);
+      // Items found by a reviewer query are waiting on the user's review
+      const reviewRequested = /\breviewer_/.test(query);
+      const params = this.resolveQuery(query, user);
+      console.log(`[${this.id}] Executing query: "${query}"`);
+
+      let page = 0;
+      let fetched = 0;
+      let next = "1";
+      let total = null;
+
+      try {
+        while (next && page < maxPages) {
+          params.set("page", next);
+          const j = await this.fetchPage(config, params, query);
+          page++;
+          fetched += j.mrs.length;
+          next = j.next;
+          total = j.total;
+          console.log(`[${this.id}] Found ${j.mrs.length} MRs in page ${page}`);
+          j.mrs.forEach(mr => result.addItem(source, mr.web_url, {
+            title: mr.title,
+            number: mr.iid,
+            // references.full is group/project!123
+            repo: mr.references?.full?.split("!")[0],
+            state: mr.state,
+            draft: Boolean(mr.draft || mr.work_in_progress),
+            labels: mr.labels || [],
+            updatedAt: mr.updated_at,
+            ...(reviewRequested ? { reviewRequested: true } : {})
+          }));
+        }
+
+        if (next) {
+          console.warn(`[${this.id}] ⚠️ Query "${query}" is truncated: got ${fetched} of ${total || "more"} results`);
+          result.truncate(source, `Truncated: got ${fetched} of ${total || "more"} results`);
+        }
+      } catch (error) {
+        console.error(`[${this.id}] Error fetching query "${query}":`, error);
+        // Later pages failing leaves the results we already have incomplete
+        if (page > 0) {
+          result.truncate(source, `Stopped after page ${page}: ${error.message}`);
+        } else {
+          result.fail(source, error);
+        }
+      }
+    }
+
+    console.log(`[${this.id}] ✓ Total unique MRs found: ${result.items.size}`);
+    return result.toJSON();
+  }
+
+  // Match pattern for tabs that could belong to this group
+  getTabMatchPattern(config) {
+    let host;
+    try {
+      host = new URL(this.baseUrl(config)).hostname;
+    } catch {
+      host = "gitlab.com";
+    }
+    return `*://${host}/*/-/merge_requests/*`;
+  }
+
+  // Check if a URL belongs to this provider
+  matchesUrl(url, config) {
+    try {
+      const u = new URL(url);
+      return u.host === new URL(this.baseUrl(config)).host && /\/-\/merge_requests\/\d+/.test(u.pathname);
+    } catch {
+      return false;
+    }
+  }
+
+  // Normalize MR URL to base form (remove sub-paths like /diffs, /commits, etc.)
+  normalizeUrl(url, config) {
+    try {
+      const u = new URL(url);
+      if (u.host === new URL(this.baseUrl(config)).host) {
+        // Match /group/subgroup/project/-/merge_requests/123 and strip everything after the MR number
+        const match = u.pathname.match(/^(\/.+\/-\/merge_requests\/\d+)/);
+        if (match) {
+          return `${u.origin}${match[1]}`;
+        }
+      }
+      return url;
+    } catch {
+      return url;
+    }
+  }
+
+  // Get default configuration for this provider
+  getDefaultConfig() {
+    return {
+      enabled: true,
+      instanceUrl: "https://gitlab.com",
+      token: "",
+      queries: [
+        "reviewer_username=@me",
+        "assignee_id=@me",
+        "author_id=@me"
+      ],
+      groupTitle: "GitLab MRs",
+      groupColor: "purple",
+      maxPages: 10,
+      pollMinutes: 5,
+      closeMissing: true
+    };
+  }
+
+  // Provider-specific settings shown on the options page
+  getConfigFields() {
+    return [
+      {
+        key: "instanceUrl",
+        type: "text",
+        label: "GitLab instance URL",
+        description: "<code>https://gitlab.com</code> or the address of your self-hosted GitLab",
+        placeholder: "https://gitlab.example.com"
+      },
+      {
+        key: "token",
+        type: "password",
+        label: "GitLab Personal Access Token",
+        description: "Token with <code>read_api</code> scope. Create it under User Settings → Access Tokens",
+        placeholder: "glpat-..."
+      },
+      {
+        key: "queries",
+        type: "lines",
+        label: "Merge request queries",
+        description: "One set of <code>/merge_requests</code> parameters per line, e.g. <code>reviewer_username=@me</code> or <code>assignee_id=@me&amp;labels=bug</code>. Defaults to <code>state=opened&amp;scope=all</code>"
+      },
+      {
+        key: "maxPages",
+        type: "number",
+        label: "Maximum pages per query",
+        description: "Each page holds up to 100 merge requests. Tabs are never auto-closed for a query with more results than this",
+        min: 1
+      }
+    ];
+  }
+
+  // Validate configuration
+  validateConfig(config) {
+    const errors = [];
+    try {
+      const u = new URL(this.baseUrl(config));
+      if (u.protocol !== "https:" && u.protocol !== "http:") {
+        errors.push("GitLab instance URL must start with https://");
+      }
+    } catch {
+      errors.push("GitLab instance URL is not valid");
+    }
+    if (!config.token) {
+      errors.push("GitLab token is required");
+    }
+    if (!config.queries || config.queries.length === 0) {
+      errors.push("At least one query is required");
+    }
+    if (!config.groupTitle) {
+      errors.push("Group title is required");
+    }
+    return errors;
+  }
+}
+
+// Register this provider globally
+if (typeof window.LiveTabGroupsProviders === "undefined") {
+  window.LiveTabGroupsProviders = {};
+}
+window.LiveTabGroupsProviders["gitlab-mrs"] = new GitLabMRProvider();
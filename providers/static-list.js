@@ -0,0 +1,89 @@
+// Static List Provider for Live Tab Groups
+// This provider keeps a fixed list of URLs, stored with the group's settings, open in a tab group.
+// It never touches the network.
+
+class StaticListProvider {
+  constructor() {
+    this.id = "static-list";
+    this.name = "Static List";
+    this.description = "Keeps a list of URLs open in a tab group";
+    this.polls = false;
+  }
+
+  // Return the configured URLs
+  async fetchUrls(config) {
+    const result = new FetchResult();
+    const source = result.addSource("list", "URL list");
+    (config.urls || [])
+      .filter(u => this.matchesUrl(u))
+      .forEach(u => result.addItem(source, u));
+    console.log(`[${this.id}] ✓ Total unique URLs: ${result.items.size}`);
+    return result.toJSON();
+  }
+
+  // Match pattern for tabs that could belong to this group
+  getTabMatchPattern() {
+    return "<all_urls>";
+  }
+
+  // Normalize URLs the way the browser shows them
+  normalizeUrl(url) {
+    return browserUrl(url);
+  }
+
+  // Check if a URL belongs to this provider. Extensions can't open file: URLs.
+  matchesUrl(url) {
+    try {
+      const u = new URL(url);
+      return ["http:", "https:", "ftp:"].includes(u.protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  // Get default configuration for this provider
+  getDefaultConfig() {
+    return {
+      enabled: true,
+      urls: [],
+      groupTitle: "Daily dashboards",
+      groupColor: "grey",
+      pollMinutes: 5,
+      closeMissing: true
+    };
+  }
+
+  // Provider-specific settings shown on the options page
+  getConfigFields() {
+    return [
+      {
+        key: "urls",
+        type: "lines",
+        label: "URLs",
+        description: "One URL per line. The group is updated as soon as the list changes"
+      }
+    ];
+  }
+
+  // Validate configuration
+  validateConfig(config) {
+    const errors = [];
+    if (!config.urls || config.urls.length === 0) {
+      errors.push("At least one URL is required");
+    }
+    const invalid = (config.urls || []).filter(u => !this.matchesUrl(u));
+    if (invalid.length > 0) {
+      errors.push(`Not an http, https or ftp URL: ${invalid.join(", ")}`);
+    }
+    if (!config.groupTitle) {
+      errors.push("Group title is required");
+    }
+    return errors;
+  }
+}
+
+// Register this provider globally
+if (typeof window.LiveTabGroupsProviders === "undefined") {
+  window.LiveTabGroupsProviders = {};
+}
+window.LiveTabGroupsProviders["static-list"] = new StaticListProvider();
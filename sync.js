@@ -0,0 +1,1194 @@
+// Live Tab Groups - Sync engine
+// Plans and applies syncs of group instances into browser tab groups. It has
+// no side effects when loaded: it only reaches the browser through
+// engineEnv.browser and providers through getProvider, so it also runs against
+// the fakes in test/, see setEngineEnv.
+
+// Browser tab group owned by each group instance, keyed by instance ID.
+// Sub-groups are keyed "<instance ID>/<key>", see syncTargets.
+// Browser group IDs only live as long as the session.
+async function getLiveGroups() {
+  const { liveGroups = {} } = await engineEnv.browser.storage.session.get("liveGroups");
+  return liveGroups;
+}
+
+// Browser group IDs owned by a group instance, including its sub-groups
+async function instanceGroupIds(instanceId) {
+  const liveGroups = await getLiveGroups();
+  return Object.entries(liveGroups)
+    .filter(([id]) => isInstanceKey(id, instanceId))
+    .map(([, groupId]) => groupId);
+}
+
+// Browser group IDs owned by every other group instance
+async function otherInstanceGroupIds(instanceId) {
+  const liveGroups = await getLiveGroups();
+  return new Set(Object.entries(liveGroups)
+    .filter(([id]) => !isInstanceKey(id, instanceId))
+    .map(([, groupId]) => groupId));
+}
+
+function isInstanceKey(key, instanceId) {
+  return key === instanceId || key.startsWith(`${instanceId}/`);
+}
+
+async function setLiveGroup(instanceId, groupId) {
+  await updateStorage("session", "liveGroups", (liveGroups = {}) => {
+    const next = { ...liveGroups };
+    if (groupId === null) {
+      delete next[instanceId];
+    } else {
+      next[instanceId] = groupId;
+    }
+    return next;
+  });
+}
+
+// Title and color the extension last gave each group, keyed by instance ID.
+// Kept across restarts so changes made in the browser can be told apart.
+async function getAppliedLooks() {
+  const { appliedLooks = {} } = await engineEnv.browser.storage.local.get("appliedLooks");
+  return appliedLooks;
+}
+
+async function setAppliedLook(instanceId, look) {
+  await updateStorage("local", "appliedLooks", (appliedLooks = {}) => ({ ...appliedLooks, [instanceId]: look }));
+}
+
+// Find the browser tab group that belongs to a group instance or sub-group.
+// After a restart the old group is recognized by its tabs: the group where
+// most tabs are among lastItems, by default the items from the last sync.
+// Groups from before the mapping existed are matched by title. The title may
+// carry a summary suffix, e.g. "GitHub PRs (7, 2 need review)".
+async function findLiveGroup(config, lastItems = null) {
+  const liveGroups = await getLiveGroups();
+  if (liveGroups[config.id] !== undefined) {
+    try {
+      return await engineEnv.browser.tabGroups.get(liveGroups[config.id]);
+    } catch {
+      console.log(`[Live Tab Groups] Group ${liveGroups[config.id]} of ${config.id} no longer exists`);
+      await setLiveGroup(config.id, null);
+      delete liveGroups[config.id];
+    }
+  }
+
+  // Groups owned by other instances are never taken over
+  const claimed = new Set(Object.values(liveGroups));
+  const candidates = (await engineEnv.browser.tabGroups.query({})).filter(g => !claimed.has(g.id));
+
+  const normalize = normalizerFor(getProvider(config.provider), config);
+  const items = lastItems || (await getStatus())[config.id]?.items || [];
+  const lastUrls = new Set(items.map(item => normalize(item.url)));
+
+  let match = null;
+  if (lastUrls.size > 0) {
+    let best = 0;
+    for (const g of candidates) {
+      const tabs = await tabsInGroup(g.id);
+      const hits = tabs.filter(t => t.url && lastUrls.has(normalize(t.url))).length;
+      if (hits > tabs.length / 2 && hits > best) {
+        match = g;
+        best = hits;
+      }
+    }
+  }
+  if (!match) {
+    match = candidates.find(g => isDisplayTitleOf(g.title, config.groupTitle)) || null;
+  }
+
+  if (match) {
+    console.log(`[Live Tab Groups] Recovered group ${match.id} for ${config.id}`);
+    await setLiveGroup(config.id, match.id);
+  }
+  return match;
+}
+
+// Apply the group's title and color. Changes made in the browser since the
+// last sync are kept if the group is set to respect them.
+async function updateLiveGroup(config, group, title) {
+  const applied = (await getAppliedLooks())[config.id];
+  const respect = config.onManualEdit === "respect" && applied;
+  const titleEdited = respect && group.title !== applied.title;
+  const colorEdited = respect && group.color !== applied.color;
+
+  const look = {
+    title: titleEdited ? group.title : title,
+    color: colorEdited ? group.color : config.groupColor
+  };
+  if (look.title !== group.title || look.color !== group.color) {
+    await engineEnv.browser.tabGroups.update(group.id, look);
+  }
+
+  // A kept manual change has to stay recognizable as one on the next sync
+  await setAppliedLook(config.id, {
+    title: titleEdited ? applied.title : title,
+    color: colorEdited ? applied.color : config.groupColor
+  });
+}
+
+// Window the user is working in
+async function getFocusedWindowId() {
+  try {
+    return (await engineEnv.browser.windows.getLastFocused({ windowTypes: ["normal"] })).id;
+  } catch {
+    return getSyncWindowId();
+  }
+}
+
+// Pick the window a group lives in, according to its placement setting:
+//   home         stays in the window it was created in
+//   lastFocused  is created in the focused window, then stays there
+//   follow       moves to whichever window has focus
+async function resolveWindowId(config, existingGroup) {
+  if (config.placement === "follow") {
+    return getFocusedWindowId();
+  }
+  if (existingGroup) {
+    return existingGroup.windowId;
+  }
+  if (config.placement === "lastFocused") {
+    return getFocusedWindowId();
+  }
+
+  // Home windows are remembered for the session; window IDs change on restart.
+  // A new sub-group starts out where its instance's other groups are.
+  const { homeWindows = {} } = await engineEnv.browser.storage.session.get("homeWindows");
+  const home = homeWindows[config.id] ?? homeWindows[config.instanceId];
+  if (home !== undefined) {
+    const windows = await engineEnv.browser.windows.getAll({ windowTypes: ["normal"] });
+    if (windows.some(w => w.id === home)) return home;
+  }
+  return getSyncWindowId();
+}
+
+async function rememberHomeWindow(instanceId, windowId) {
+  await updateStorage("session", "homeWindows", (homeWindows = {}) => ({ ...homeWindows, [instanceId]: windowId }));
+}
+
+// Find tabs matching specific URLs (with provider-specific normalization)
+// matchPattern may be a single pattern or a list of them. Tabs in the groups
+// of skipGroupIds are left out.
+async function tabsByExactUrls(urls, matchPattern, provider, config, skipGroupIds = new Set()) {
+  const ghTabs = await engineEnv.browser.tabs.query({ url: [].concat(matchPattern) });
+
+  // Normalize the expected URLs if provider supports it
+  const normalizedExpected = new Set();
+  const normalizedToOriginal = new Map();
+  for (const url of urls) {
+    const normalized = provider.normalizeUrl ? provider.normalizeUrl(url, config) : url;
+    normalizedExpected.add(normalized);
+    normalizedToOriginal.set(normalized, url);
+  }
+
+  const map = new Map();
+  for (const t of ghTabs) {
+    if (!t.url || skipGroupIds.has(t.groupId)) continue;
+
+    // Normalize the tab URL for comparison
+    const normalized = provider.normalizeUrl ? provider.normalizeUrl(t.url, config) : t.url;
+
+    if (normalizedExpected.has(normalized)) {
+      // Log when we match a tab with a different sub-path
+      if (provider.normalizeUrl && normalized !== t.url) {
+        console.log(`[Live Tab Groups] Matched tab at sub-path: ${t.url} → ${normalized}`);
+      }
+
+      // Map back to the original URL from our list
+      const originalUrl = normalizedToOriginal.get(normalized);
+      map.set(originalUrl, t);
+    }
+  }
+  return map;
+}
+
+// Providers return a structured FetchResult; a plain list of URLs is treated
+// as a single source that always succeeds
+function toFetchResult(result) {
+  if (Array.isArray(result)) {
+    return {
+      items: result.map(url => ({ url, sources: ["default"] })),
+      sources: [{ id: "default", label: "Provider", ok: true, complete: true, error: null }],
+      authoritative: true
+    };
+  }
+  return result;
+}
+
+// IDs of sources that failed or only returned part of their results
+function unhealthySourceIds(result) {
+  return new Set(result.sources.filter(s => !s.ok || !s.complete).map(s => s.id));
+}
+
+// Map each item's normalized URL to the sources that returned it. Items last
+// seen from a source that is unhealthy now are carried over, since they may
+// still exist.
+function trackItemSources(result, previous, normalize) {
+  const unhealthy = unhealthySourceIds(result);
+  const tracked = {};
+  for (const [url, sources] of Object.entries(previous || {})) {
+    if (sources.some(id => unhealthy.has(id))) tracked[url] = sources;
+  }
+  for (const item of result.items) {
+    tracked[normalize(item.url)] = item.sources;
+  }
+  return tracked;
+}
+
+// Rebuild the last fetch result from the stored status, for syncs that don't
+// hit the network. It can't prove anything is gone, so it's never authoritative.
+async function lastFetchResult(config, normalize) {
+  const status = (await getStatus())[config.id];
+  if (!status || !status.items) return null;
+  const itemSources = status.itemSources || {};
+  return {
+    items: status.items.map(item => ({ ...item, sources: itemSources[normalize(item.url)] || [] })),
+    sources: status.sources || [],
+    authoritative: false
+  };
+}
+
+// Normalize URLs with the provider's rules, if it has any
+function normalizerFor(provider, config) {
+  return url => provider.normalizeUrl ? provider.normalizeUrl(url, config) : url;
+}
+
+// The parts of an item kept in the group status for display
+function itemSummary(item) {
+  const { url, title, repo, number, state, draft, updatedAt, reviewRequested, reviewDecision, ciState } = item;
+  return { url, title, repo, number, state, draft, updatedAt, reviewRequested, reviewDecision, ciState };
+}
+
+// Order of review decisions when sorting by review status; others come last
+const REVIEW_ORDER = ["APPROVED", "CHANGES_REQUESTED"];
+
+// Comparator ordering items within a group according to the group's settings
+function compareItems(config) {
+  const reviewRank = item => {
+    const rank = REVIEW_ORDER.indexOf(item.reviewDecision);
+    return rank === -1 ? REVIEW_ORDER.length : rank;
+  };
+  return (a, b) => {
+    if (config.reviewRequestedFirst && Boolean(a.reviewRequested) !== Boolean(b.reviewRequested)) {
+      return a.reviewRequested ? -1 : 1;
+    }
+    if (config.draftsLast && Boolean(a.draft) !== Boolean(b.draft)) {
+      return a.draft ? 1 : -1;
+    }
+    switch (config.sortBy) {
+      case "updated":
+        return (b.updatedAt || "").localeCompare(a.updatedAt || "");
+      case "title":
+        return (a.title || a.url).localeCompare(b.title || b.url);
+      case "repo":
+        return (a.repo || "").localeCompare(b.repo || "") || (a.number || 0) - (b.number || 0);
+      case "review":
+        return reviewRank(a) - reviewRank(b);
+      default:
+        return 0;
+    }
+  };
+}
+
+// Group title, optionally followed by a summary like "(7, 2 need review, 1 approved)"
+function groupDisplayTitle(config, items) {
+  if (!config.titleSummary) return config.groupTitle;
+
+  const parts = [String(items.length)];
+  const counts = [
+    [items.filter(item => item.reviewRequested).length, "need review"],
+    [items.filter(item => item.reviewDecision === "APPROVED").length, "approved"],
+    [items.filter(item => item.reviewDecision === "CHANGES_REQUESTED").length, "changes requested"]
+  ];
+  for (const [count, label] of counts) {
+    if (count > 0) parts.push(`${count} ${label}`);
+  }
+  return `${config.groupTitle} (${parts.join(", ")})`;
+}
+
+// Whether a browser group's title is the given title, as is or with the
+// summary groupDisplayTitle adds. Other suffixes, like " (copy)", don't count.
+function isDisplayTitleOf(groupTitle, title) {
+  if (groupTitle === title) return true;
+  if (!groupTitle.startsWith(`${title} (`) || !groupTitle.endsWith(")")) return false;
+  return /^\d+(, \d+ [a-z ]+)*$/.test(groupTitle.slice(title.length + 2, -1));
+}
+
+// Move the group's tabs into item order. Tabs that aren't items stay at the end.
+async function orderGroupTabs(groupId, items, normalize) {
+  const rank = new Map(items.map((item, i) => [normalize(item.url), i]));
+  const rankOf = t => rank.has(normalize(t.url || "")) ? rank.get(normalize(t.url || "")) : items.length;
+
+  const tabs = (await tabsInGroup(groupId)).sort((a, b) => a.index - b.index);
+  const ordered = [...tabs].sort((a, b) => rankOf(a) - rankOf(b));
+  if (ordered.every((t, i) => t.id === tabs[i].id)) return;
+
+  console.log(`[Live Tab Groups] Reordering ${tabs.length} tabs in group`);
+  const tabIds = ordered.map(t => t.id);
+  await engineEnv.browser.tabs.move(tabIds, { index: tabs[0].index });
+  // Make sure the moved tabs are still part of the group
+  await engineEnv.browser.tabs.group({ groupId, tabIds });
+}
+
+// Tabs being closed by the extension itself, so tabs.onRemoved can tell
+// them apart from tabs the user closed
+const closingTabIds = new Set();
+
+async function removeTabs(tabIds) {
+  tabIds.forEach(id => closingTabIds.add(id));
+  await engineEnv.browser.tabs.remove(tabIds);
+}
+
+const ARCHIVE_GROUP_TITLE = "Archived";
+
+// Move tabs into the window's collapsed Archived group, creating it if needed.
+// The group made for each window is remembered for the session, keyed by
+// window ID, so a group the user happens to call "Archived" is never used.
+async function archiveTabs(tabs) {
+  const windowId = tabs[0].windowId;
+  const { archiveGroups = {} } = await engineEnv.browser.storage.session.get("archiveGroups");
+  const archive = archiveGroups[windowId] !== undefined
+    ? await engineEnv.browser.tabGroups.get(archiveGroups[windowId]).catch(() => null)
+    : null;
+
+  const tabIds = tabs.map(t => t.id);
+  if (archive && archive.windowId === windowId) {
+    await engineEnv.browser.tabs.group({ groupId: archive.id, tabIds });
+  } else {
+    const groupId = await engineEnv.browser.tabs.group({ tabIds, createProperties: { windowId } });
+    await engineEnv.browser.tabGroups.update(groupId, { title: ARCHIVE_GROUP_TITLE, color: "grey", collapsed: true });
+    await updateStorage("session", "archiveGroups", (groups = {}) => ({ ...groups, [windowId]: groupId }));
+  }
+}
+
+// Fill in the session IDs of just closed tabs, so restoring them brings back
+// these very tabs and not others closed with the same URL
+async function rememberSessionIds(entries, closedSince) {
+  const closed = (await engineEnv.browser.sessions.getRecentlyClosed())
+    .filter(c => c.tab && c.lastModified >= closedSince);
+  for (const entry of entries) {
+    const session = closed.find(c => c.tab.url === entry.url);
+    if (!session) continue;
+    entry.sessionId = session.tab.sessionId;
+    closed.splice(closed.indexOf(session), 1);
+  }
+}
+
+// Take tabs whose items are gone out of a live group, the way the group is
+// set to: close, discard or archive them. Every pruned tab is recorded so it
+// can be brought back; closing also offers an undo notification.
+async function pruneTabs(config, tabs, reason) {
+  const batch = crypto.randomUUID();
+  const prunedAt = Date.now();
+  const entries = tabs.map(t => ({
+    id: crypto.randomUUID(),
+    batch,
+    url: t.url,
+    title: t.title,
+    tabId: t.id,
+    sessionId: null,
+    groupId: config.id,
+    groupTitle: config.groupTitle,
+    action: config.pruneAction,
+    reason,
+    prunedAt,
+    restoredAt: null
+  }));
+
+  const tabIds = tabs.map(t => t.id);
+  switch (config.pruneAction) {
+    case "discard":
+      console.log(`[Live Tab Groups] Unloading ${tabIds.length} tabs no longer in query results`);
+      await engineEnv.browser.tabs.ungroup(tabIds);
+      await engineEnv.browser.tabs.discard(tabIds);
+      break;
+    case "archive":
+      console.log(`[Live Tab Groups] Archiving ${tabIds.length} tabs no longer in query results`);
+      await archiveTabs(tabs);
+      await engineEnv.browser.tabs.discard(tabIds);
+      break;
+    default:
+      console.log(`[Live Tab Groups] Closing ${tabIds.length} tabs no longer in query results`);
+      await removeTabs(tabIds);
+      await rememberSessionIds(entries, prunedAt);
+  }
+  await updatePruneHistory(pruneHistory => [...entries, ...pruneHistory]);
+
+  if (config.pruneAction === "close") {
+    await engineEnv.browser.notifications.create(`pruned-${batch}`, {
+      type: "basic",
+      title: `Closed ${tabIds.length} tab(s) in "${config.groupTitle}"`,
+      message: `${reason}. Click to reopen them.`
+    });
+  }
+}
+
+// Bring back pruned tabs, from session history when the browser still has
+// them so their scroll position and form state come back too. Restored tabs
+// are kept out of the live group, so the next sync doesn't prune them again.
+// Tabs are found by the session or tab ID recorded when they were pruned;
+// without one a new tab is opened. Tab IDs are reused after a restart, so a
+// tab is only taken if it is still at the pruned URL.
+async function restorePruned(ids) {
+  const history = await getPruneHistory();
+  const restored = new Map();
+  const cfg = await getCfg();
+  const normalizers = new Map();
+  const normalizeFor = groupId => {
+    if (!normalizers.has(groupId)) {
+      const config = cfg.groups.find(g => g.id === groupId);
+      const provider = config && getProvider(config.provider);
+      normalizers.set(groupId, provider ? normalizerFor(provider, config) : url => url);
+    }
+    return normalizers.get(groupId);
+  };
+
+  for (const entry of history.filter(e => ids.includes(e.id) && !e.restoredAt)) {
+    let tab = null;
+    if (entry.action === "close") {
+      if (entry.sessionId) {
+        tab = (await engineEnv.browser.sessions.restore(entry.sessionId).catch(() => null))?.tab || null;
+      }
+    } else if (entry.tabId !== undefined) {
+      // Discarded and archived tabs may still be open
+      tab = await engineEnv.browser.tabs.get(entry.tabId).catch(() => null);
+      const normalize = normalizeFor(entry.groupId);
+      if (tab && normalize(tab.url) !== normalize(entry.url)) tab = null;
+    }
+    if (!tab) {
+      tab = await engineEnv.browser.tabs.create({ url: entry.url, active: false });
+    }
+    if (tab.groupId !== -1) {
+      await engineEnv.browser.tabs.ungroup(tab.id);
+    }
+    restored.set(entry.id, Date.now());
+  }
+  await updatePruneHistory(pruneHistory => pruneHistory.map(e => restored.has(e.id) ? { ...e, restoredAt: restored.get(e.id) } : e));
+}
+
+// Tab IDs the user asked to keep, and tabs with unsaved comments reported by
+// the content script. Both are kept in session storage as { tabId: true }.
+async function getTabFlags(key) {
+  const { [key]: flags = {} } = await engineEnv.browser.storage.session.get(key);
+  return flags;
+}
+
+async function setTabFlag(key, tabId, on) {
+  await updateStorage("session", key, (flags = {}) => {
+    if (Boolean(flags[tabId]) === on) return undefined;
+    const next = { ...flags };
+    if (on) {
+      next[tabId] = true;
+    } else {
+      delete next[tabId];
+    }
+    return next;
+  });
+}
+
+// What protects the tabs from pruning, loaded once per sync
+async function getProtection() {
+  return {
+    kept: await getTabFlags("keptTabs"),
+    unsaved: await getTabFlags("unsavedTabs"),
+    now: Date.now()
+  };
+}
+
+// Why a tab must not be pruned, or null if it may be
+function protectionReason(tab, config, protection) {
+  if (protection.kept[tab.id]) return "kept";
+  if (config.protectUnsaved && protection.unsaved[tab.id]) return "unsaved comment";
+  if (config.protectPinned && tab.pinned) return "pinned";
+  if (config.protectAudible && tab.audible) return "playing sound";
+  if (config.protectRecentMinutes > 0 && tab.lastAccessed &&
+      protection.now - tab.lastAccessed < config.protectRecentMinutes * 60000) {
+    return "recently used";
+  }
+  return null;
+}
+
+// Tabs waiting for the user's approval to be closed, keyed by instance ID:
+// { tabs, declined }. A declined request isn't asked again for the same tabs.
+async function getPendingCloses() {
+  const { pendingCloses = {} } = await engineEnv.browser.storage.session.get("pendingCloses");
+  return pendingCloses;
+}
+
+async function setPendingClose(instanceId, pending) {
+  let cleared = false;
+  await updateStorage("session", "pendingCloses", (pendingCloses = {}) => {
+    if (!pending && !pendingCloses[instanceId]) return undefined;
+    const next = { ...pendingCloses };
+    if (pending) {
+      next[instanceId] = pending;
+    } else {
+      delete next[instanceId];
+      cleared = true;
+    }
+    return next;
+  });
+  if (cleared) await engineEnv.browser.notifications.clear(`close-${instanceId}`);
+}
+
+// Ask before closing the given tabs, unless the same tabs were asked about
+// already. Once declined, the user isn't asked again until a tab they didn't
+// decline comes up for closing.
+async function requestCloseApproval(config, tabs) {
+  const previous = (await getPendingCloses())[config.id];
+  const key = list => list.map(t => t.id).sort((a, b) => a - b).join();
+  if (previous && key(previous.tabs) === key(tabs)) return;
+  if (previous?.declined && tabs.every(t => previous.tabs.some(p => p.id === t.id))) {
+    console.log(`[Live Tab Groups] Keeping ${tabs.length} tabs in ${config.id}, closing them was declined`);
+    return;
+  }
+
+  console.log(`[Live Tab Groups] Asking before closing ${tabs.length} tabs in ${config.id}`);
+  await setPendingClose(config.id, { tabs, declined: false });
+  await engineEnv.browser.notifications.create(`close-${config.id}`, {
+    type: "basic",
+    title: `Close ${tabs.length} tabs in "${config.groupTitle}"?`,
+    message: "Their items are no longer in the results. Click to review them."
+  });
+}
+
+// Close tabs the user approved closing. Tabs that left the group or changed
+// URL since they were planned for closing are kept.
+async function approveClose(instanceId) {
+  const pending = (await getPendingCloses())[instanceId];
+  if (!pending) return;
+
+  // Sub-groups ask separately; their IDs start with their instance's ID
+  const config = (await getCfg()).groups.find(g => g.id === instanceId.split("/")[0]);
+  const groupId = (await getLiveGroups())[instanceId];
+  const current = config && groupId !== undefined ? await tabsInGroup(groupId) : [];
+  // Protection may have started to apply while waiting, e.g. a comment was begun
+  const protection = await getProtection();
+  const tabs = current.filter(t => pending.tabs.some(p => p.id === t.id && p.url === t.url) &&
+    !protectionReason(t, config, protection));
+
+  await setPendingClose(instanceId, null);
+  if (tabs.length > 0) {
+    console.log(`[Live Tab Groups] Pruning ${tabs.length} approved tab(s) in ${instanceId}`);
+    await pruneTabs(config, tabs, "No longer in the results, closing approved");
+  }
+}
+
+// Remember which live group each tab belongs to. Kept in session storage
+// because tabs.onRemoved no longer has the tab's URL or group. Tabs record
+// both their instance and the target (sub-)group they are in.
+async function trackGroupTabs(target, groupId, normalize) {
+  const tabs = await tabsInGroup(groupId);
+  await updateStorage("session", "trackedTabs", (trackedTabs = {}) => {
+    const next = Object.fromEntries(Object.entries(trackedTabs)
+      .filter(([, tracked]) => (tracked.target || tracked.groupId) !== target.id));
+    for (const t of tabs) {
+      if (t.url) next[t.id] = { groupId: target.instanceId, target: target.id, url: normalize(t.url) };
+    }
+    return next;
+  });
+}
+
+// Get tabs in a specific group
+async function tabsInGroup(groupId) {
+  return await engineEnv.browser.tabs.query({ groupId });
+}
+
+// Decide what a sync should do, without touching any tabs. Takes a snapshot of
+// the group's state (see gatherSyncState) and returns the plan:
+//   toCreate          items to open in new tabs
+//   toAdopt           matching tabs to move into the group
+//   toClose           group tabs whose items are gone
+//   skippedActive     tabs left alone because they are active
+//   skippedProtected  tabs kept by a protection rule, with the reason
+//   skippedUnhealthy  tabs kept because a source they depend on failed
+//   abort             reason to leave the group alone entirely, if any
+function planSync(state) {
+  const { config, items, wanted, result, previousItemSources, activeTabIds, protection, group, groupTabs, matchingTabs, normalize, reconcileOnly } = state;
+  const summary = t => ({ id: t.id, url: t.url, title: t.title, windowId: t.windowId });
+  const plan = {
+    windowId: state.windowId,
+    groupId: group ? group.id : null,
+    moveGroup: Boolean(group && group.windowId !== state.windowId),
+    displayTitle: groupDisplayTitle(config, wanted),
+    toCreate: [],
+    toAdopt: [],
+    toClose: [],
+    skippedActive: [],
+    skippedProtected: [],
+    skippedUnhealthy: [],
+    abort: null
+  };
+
+  // SAFEGUARD: If API returns 0 results but we have existing tabs, something might be wrong
+  // Don't close all tabs unless we're sure the API is working correctly
+  if (items.length === 0 && groupTabs.length > 0) {
+    plan.abort = `Provider returned no items but the group has ${groupTabs.length} tabs. This might indicate an API error or auth issue`;
+    return plan;
+  }
+
+  // Open the items that have no tab yet, and pull the other tabs into the group
+  const inGroup = new Set(groupTabs.map(t => t.id));
+  for (const item of wanted) {
+    const tab = matchingTabs.get(item.url);
+    if (!tab) {
+      if (!reconcileOnly) plan.toCreate.push({ url: item.url, title: item.title });
+    } else if (!inGroup.has(tab.id)) {
+      (activeTabIds.has(tab.id) ? plan.skippedActive : plan.toAdopt).push(summary(tab));
+    }
+  }
+
+  if (!config.closeMissing || !group || reconcileOnly) return plan;
+
+  // Normalize URLs for comparison. Snoozed items still exist, so their tabs are kept,
+  // and so are tabs added to the group by hand.
+  const keepNormalized = new Set([...items, ...wanted].map(item => normalize(item.url)));
+
+  // A missing item only proves it's gone if every source that could have
+  // returned it succeeded with complete results. Items we've seen before
+  // depend on the sources that returned them; unknown ones on all sources.
+  const unhealthy = unhealthySourceIds(result);
+  const dependsOnUnhealthySource = normalized => {
+    if (!result.authoritative) return true;
+    const sources = previousItemSources[normalized] || result.sources.map(s => s.id);
+    return sources.some(id => unhealthy.has(id));
+  };
+
+  // Tabs with fully loaded URLs that don't match our list
+  for (const t of groupTabs) {
+    if (!t.url || t.url === "about:blank" || keepNormalized.has(normalize(t.url))) continue;
+
+    // Never close active tabs, nor tabs a protection rule applies to
+    const reason = protectionReason(t, config, protection);
+    if (activeTabIds.has(t.id)) {
+      plan.skippedActive.push(summary(t));
+    } else if (reason) {
+      plan.skippedProtected.push({ ...summary(t), reason });
+    } else if (dependsOnUnhealthySource(normalize(t.url))) {
+      plan.skippedUnhealthy.push(summary(t));
+    } else {
+      plan.toClose.push(summary(t));
+    }
+  }
+  return plan;
+}
+
+// Read what every target of a sync shares: the provider's items (fetched, or
+// the last results for a reconcile), snoozes and the tabs' protection.
+async function gatherSyncState(config, provider, { reconcileOnly = false, preview = false } = {}) {
+  // Get active tabs to protect them from modifications. Matching tabs are
+  // adopted from every window, so protect the active tab of each.
+  const activeTabs = await engineEnv.browser.tabs.query({ active: true });
+  const activeTabIds = new Set(activeTabs.map(t => t.id));
+
+  const normalize = normalizerFor(provider, config);
+
+  // Fetch items from provider, in the order they should appear in the group
+  const result = reconcileOnly
+    ? await lastFetchResult(config, normalize)
+    : toFetchResult(await provider.fetchUrls(config));
+  if (!result) return null;
+  const items = [...result.items].sort(compareItems(config));
+
+  // Tabs added to the group by hand follow the items, unless a query returns them too
+  const itemUrls = new Set(items.map(item => normalize(item.url)));
+  const extras = Object.values(await getGroupExtras(config.id))
+    .filter(extra => !itemUrls.has(normalize(extra.url)))
+    .map(extra => ({ url: extra.url, title: extra.title, sources: [], manual: true }));
+
+  // Snoozed and ignored items are left out of the group. Expired snoozes
+  // and those lifted by new activity are cleaned up here.
+  const storedSnoozes = await getGroupSnoozes(config.id);
+  const snoozes = activeSnoozes(storedSnoozes, items, normalize);
+  if (!preview && Object.keys(snoozes).length !== Object.keys(storedSnoozes).length) {
+    await setGroupSnoozes(config.id, snoozes);
+  }
+  const wanted = [...items, ...extras].filter(item => !snoozes[normalize(item.url)]);
+
+  const previousStatus = (await getStatus())[config.id];
+  return {
+    instance: config,
+    provider,
+    result,
+    items,
+    wanted,
+    normalize,
+    activeTabIds,
+    protection: await getProtection(),
+    previousStatus,
+    previousItemSources: previousStatus?.itemSources || {},
+    reconcileOnly
+  };
+}
+
+// Key of the sub-group an item is routed to, or null if the group isn't split
+function splitKey(config, item, sourceLabels) {
+  switch (config.splitBy) {
+    case "repo":
+      return item.repo || "Other";
+    case "state":
+      return item.draft ? "Draft" : "Ready";
+    case "review":
+      if (item.reviewDecision === "APPROVED") return "Approved";
+      if (item.reviewDecision === "CHANGES_REQUESTED") return "Changes requested";
+      return "Waiting for review";
+    case "source":
+      return sourceLabels.get(item.sources?.[0]) || "Other";
+    default:
+      return null;
+  }
+}
+
+// Color for a sub-group from "key = color" lines, or the group's own color
+function splitColor(config, key) {
+  for (const line of config.splitColors || []) {
+    const [name, color] = line.split("=").map(part => part.trim());
+    if (name && name.toLowerCase() === key.toLowerCase() && GROUP_COLORS.includes(color)) return color;
+  }
+  return config.groupColor;
+}
+
+// The browser tab groups a group instance syncs into. Without a split that
+// is one group; otherwise one per key, e.g. per repository, with its own
+// title and color. Each target is the instance's config with the target's
+// id, title and color, plus matches(item) telling which items belong to it
+// and the URLs of the items routed to it, which recognize its group after a
+// restart. Sub-groups whose items all moved elsewhere stay targets until
+// they're gone, so their leftover tabs are still pruned.
+async function syncTargets(base) {
+  const config = base.instance;
+  const sourceLabels = new Map(base.result.sources.map(s => [s.id, s.label]));
+  const keyOf = item => splitKey(config, item, sourceLabels);
+  const target = (id, groupTitle, groupColor, matches, urls) => ({ ...config, id, instanceId: config.id, groupTitle, groupColor, matches, urls });
+  const urlsOf = matches => base.wanted.filter(matches).map(item => item.url);
+
+  const targets = [];
+  if (config.splitBy && config.splitBy !== "none") {
+    const keys = [...new Set(base.wanted.map(keyOf))];
+    for (const key of keys) {
+      const title = config.splitTitle.replace(/\{title\}/g, config.groupTitle).replace(/\{key\}/g, key);
+      const matches = item => keyOf(item) === key;
+      targets.push(target(`${config.id}/${key}`, title, splitColor(config, key), matches, urlsOf(matches)));
+    }
+  } else {
+    targets.push(target(config.id, config.groupTitle, config.groupColor, () => true, urlsOf(() => true)));
+  }
+
+  // The group mapping only lasts the session, so a stale sub-group is also
+  // recognized by the items that were last routed to it
+  for (const previous of base.previousStatus?.targets || []) {
+    if (targets.some(t => t.id === previous.id)) continue;
+    const key = previous.id.slice(config.id.length + 1);
+    const color = key ? splitColor(config, key) : config.groupColor;
+    const stale = target(previous.id, previous.title, color, () => false, previous.urls || []);
+    if (await findLiveGroup(stale, stale.urls.map(url => ({ url })))) targets.push(stale);
+  }
+  return targets;
+}
+
+// Add what planSync needs about one target: its group, window and tabs
+async function gatherTargetState(base, target) {
+  const { provider, normalize } = base;
+  const wanted = base.wanted.filter(target.matches);
+
+  // Check if group exists and which window it belongs in. A sub-group is
+  // recognized after a restart by the items that were routed to it.
+  const lastItems = target.id === target.instanceId
+    ? null
+    : (base.previousStatus?.items || []).filter(target.matches);
+  const group = await findLiveGroup(target, lastItems);
+  const windowId = await resolveWindowId(target, group);
+
+  return {
+    ...base,
+    config: target,
+    wanted,
+    group,
+    windowId,
+    groupTabs: group ? await tabsInGroup(group.id) : [],
+    // Tabs added by hand can be anywhere, not just on the provider's site.
+    // Tabs in another instance's group belong to it, even if their item is
+    // ours too; sub-groups of the same instance do hand tabs over.
+    matchingTabs: await tabsByExactUrls(wanted.map(item => item.url),
+      wanted.some(item => item.manual) ? "<all_urls>" : provider.getTabMatchPattern(target), provider, target,
+      await otherInstanceGroupIds(target.instanceId))
+  };
+}
+
+// Apply a plan from planSync. Returns what happened to the tabs to close:
+// { closed, approvalRequested, closedAll }.
+async function applyPlan(state, plan) {
+  const { config, wanted, normalize } = state;
+  const { windowId, displayTitle } = plan;
+  let groupId = plan.groupId;
+
+  if (plan.moveGroup) {
+    console.log(`[Live Tab Groups] Moving group to window ${windowId}`);
+    await engineEnv.browser.tabGroups.move(groupId, { windowId, index: -1 });
+  }
+  if (groupId !== null) {
+    await updateLiveGroup(config, state.group, displayTitle);
+  }
+
+  // Create new tabs
+  const tabIds = plan.toAdopt.map(t => t.id);
+  for (const { url, title } of plan.toCreate) {
+    // Unloaded tabs show the item's title until they're first opened
+    const t = config.lazyLoad && title
+      ? await engineEnv.browser.tabs.create({ url, active: false, windowId, discarded: true, title })
+      : await engineEnv.browser.tabs.create({ url, active: false, windowId });
+    tabIds.push(t.id);
+  }
+  if (plan.toCreate.length > 0) {
+    console.log(`[Live Tab Groups] Created ${plan.toCreate.length} new tabs`);
+  }
+
+  // Matching tabs open in other windows are adopted rather than opened again
+  const elsewhere = plan.toAdopt.filter(t => t.windowId !== windowId).map(t => t.id);
+  if (elsewhere.length > 0) {
+    console.log(`[Live Tab Groups] Adopting ${elsewhere.length} tab(s) from other windows`);
+    await engineEnv.browser.tabs.move(elsewhere, { windowId, index: -1 });
+  }
+
+  // If no group exists and we have tabs, create the group with all tabs at once
+  if (groupId === null && tabIds.length > 0) {
+    console.log(`[Live Tab Groups] Creating new group with ${tabIds.length} tabs`);
+    groupId = await engineEnv.browser.tabs.group({ tabIds, createProperties: { windowId } });
+    await engineEnv.browser.tabGroups.update(groupId, { title: displayTitle, color: config.groupColor });
+    await setLiveGroup(config.id, groupId);
+    await setAppliedLook(config.id, { title: displayTitle, color: config.groupColor });
+    console.log(`[Live Tab Groups] Group created with ID: ${groupId}`);
+    await rememberHomeWindow(config.id, windowId);
+    if (config.instanceId !== config.id) await rememberHomeWindow(config.instanceId, windowId);
+  } else if (groupId !== null && tabIds.length > 0) {
+    console.log(`[Live Tab Groups] Adding ${tabIds.length} tabs to existing group`);
+    await engineEnv.browser.tabs.group({ groupId, tabIds });
+  }
+
+  if (plan.skippedActive.length > 0) {
+    console.log(`[Live Tab Groups] Skipped ${plan.skippedActive.length} active tab(s):`, plan.skippedActive.map(t => t.url));
+  }
+  if (plan.skippedProtected.length > 0) {
+    console.log(`[Live Tab Groups] Skipped closing ${plan.skippedProtected.length} protected tab(s):`, plan.skippedProtected.map(t => `${t.url} (${t.reason})`));
+  }
+  if (plan.skippedUnhealthy.length > 0) {
+    console.warn(`[Live Tab Groups] ⚠️ Skipped closing ${plan.skippedUnhealthy.length} tab(s) that depend on a failed or incomplete source:`, plan.skippedUnhealthy.map(t => t.url));
+  }
+
+  // Prune tabs not in list. Closing many tabs at once may need the user's approval.
+  const applied = { closed: 0, approvalRequested: false, closedAll: false };
+  if (plan.toClose.length > 0) {
+    console.log(`[Live Tab Groups] Tabs to close:`, plan.toClose.map(t => t.url));
+    if (config.confirmCloseOver > 0 && plan.toClose.length > config.confirmCloseOver) {
+      await requestCloseApproval(config, plan.toClose);
+      applied.approvalRequested = true;
+    } else {
+      await setPendingClose(config.id, null);
+      // SAFEGUARD: If we're about to close ALL tabs, log a warning
+      if (plan.toClose.length === state.groupTabs.length && plan.toAdopt.length + plan.toCreate.length === 0) {
+        console.warn(`[Live Tab Groups] ⚠️ About to close ALL ${plan.toClose.length} tabs in the group! This will delete the group.`);
+        applied.closedAll = true;
+      }
+      await pruneTabs(config, plan.toClose, "No longer in the results");
+      applied.closed = plan.toClose.length;
+    }
+  } else if (!state.reconcileOnly) {
+    // A reconcile never plans closes, so it can't tell whether they're still due
+    await setPendingClose(config.id, null);
+  }
+
+  if (groupId !== null) {
+    await trackGroupTabs(config, groupId, normalize);
+  }
+
+  // Order tabs within the group
+  if (groupId !== null && (config.sortBy !== "none" || config.reviewRequestedFirst || config.draftsLast)) {
+    await orderGroupTabs(groupId, wanted, normalize);
+  }
+  return applied;
+}
+
+const FAILED_CI_STATES = ["FAILURE", "ERROR"];
+
+// Changes since the last sync that the group's notification rules ask for,
+// as [{ item, change }]. Compared with the previous results by normalized URL;
+// an item counts as new only if no earlier sync saw it, so items that were
+// missing while their source failed aren't announced again.
+function itemChanges(config, base) {
+  const { wanted, normalize, previousStatus } = base;
+  if (!previousStatus?.items) return [];
+
+  const before = new Map(previousStatus.items.map(item => [normalize(item.url), item]));
+  const known = new Set([...before.keys(), ...Object.keys(previousStatus.itemSources || {})]);
+  const changes = [];
+  for (const item of wanted.filter(i => !i.manual)) {
+    const url = normalize(item.url);
+    const old = before.get(url);
+    if (!known.has(url)) {
+      if (config.notifyReviewRequests && item.reviewRequested) {
+        changes.push({ item, change: "Review requested" });
+      } else if (config.notifyNewItems) {
+        changes.push({ item, change: "New" });
+      }
+      continue;
+    }
+    if (!old) continue;
+
+    if (config.notifyReviewRequests && item.reviewRequested && !old.reviewRequested) {
+      changes.push({ item, change: "Review requested" });
+    }
+    if (config.notifyReviewChanges && item.reviewDecision !== old.reviewDecision) {
+      if (item.reviewDecision === "APPROVED") changes.push({ item, change: "Approved" });
+      if (item.reviewDecision === "CHANGES_REQUESTED") changes.push({ item, change: "Changes requested" });
+    }
+    if (config.notifyCiFailed && FAILED_CI_STATES.includes(item.ciState) && !FAILED_CI_STATES.includes(old.ciState)) {
+      changes.push({ item, change: "Checks failed" });
+    }
+    if (config.notifyMerged && item.state === "merged" && old.state !== "merged") {
+      changes.push({ item, change: "Merged" });
+    }
+  }
+  return changes;
+}
+
+// Items that left the results because they were merged. Only items whose
+// sources all succeeded are looked up, and only if the provider can.
+async function mergedSinceLastSync(config, base) {
+  const { provider, result, items, normalize, previousStatus } = base;
+  if (!config.notifyMerged || !provider.lookupItems || !previousStatus?.items || !result.authoritative) return [];
+
+  const unhealthy = unhealthySourceIds(result);
+  const current = new Set(items.map(item => normalize(item.url)));
+  const gone = previousStatus.items.filter(item => {
+    const url = normalize(item.url);
+    const sources = previousStatus.itemSources?.[url] || [];
+    return !current.has(url) && item.state !== "merged" && !sources.some(id => unhealthy.has(id));
+  });
+  if (gone.length === 0) return [];
+
+  try {
+    const merged = new Set((await provider.lookupItems(config, gone.map(item => item.url)))
+      .filter(found => found.state === "merged")
+      .map(found => normalize(found.url)));
+    return gone.filter(item => merged.has(normalize(item.url))).map(item => ({ item, change: "Merged" }));
+  } catch (error) {
+    console.warn(`[Live Tab Groups] Could not look up items that left ${config.id}:`, error);
+    return [];
+  }
+}
+
+// Show a notification per change, or one summary when there are many.
+// Clicking one focuses the item's tab; see itemNotifications.
+const NOTIFY_LIMIT = 3;
+
+async function notifyChanges(config, changes) {
+  if (changes.length === 0) return;
+  if (inQuietHours((await getCfg()).quietHours)) {
+    console.log(`[Live Tab Groups] Quiet hours, not notifying about ${changes.length} change(s) in ${config.id}`);
+    return;
+  }
+
+  const shown = {};
+  const notify = async (title, message, url) => {
+    const id = `item-${crypto.randomUUID()}`;
+    shown[id] = { groupId: config.id, url };
+    await engineEnv.browser.notifications.create(id, { type: "basic", title, message });
+  };
+
+  if (changes.length > NOTIFY_LIMIT) {
+    const lines = changes.map(({ item, change }) => `${change}: ${item.title || item.url}`);
+    await notify(`${changes.length} updates in "${config.groupTitle}"`, lines.join("\n"), changes[0].item.url);
+  } else {
+    for (const { item, change } of changes) {
+      const where = item.repo ? `${item.repo}${item.number ? ` #${item.number}` : ""} · ` : "";
+      await notify(`${change}: ${item.title || item.url}`, `${where}${config.groupTitle}`, item.url);
+    }
+  }
+  await updateStorage("session", "itemNotifications", (itemNotifications = {}) => ({ ...itemNotifications, ...shown }));
+}
+
+// Safeguards a target's sync ran into, as lines for the sync log
+function safeguardsFired(target, plan, applied) {
+  const fired = [];
+  const name = target.groupTitle;
+  if (plan.skippedActive.length) fired.push(`${name}: left ${plan.skippedActive.length} active tab(s) alone`);
+  if (plan.skippedProtected.length) fired.push(`${name}: kept ${plan.skippedProtected.length} protected tab(s)`);
+  if (plan.skippedUnhealthy.length) fired.push(`${name}: kept ${plan.skippedUnhealthy.length} tab(s) that depend on a failed or incomplete source`);
+  if (applied.approvalRequested) fired.push(`${name}: asked before closing ${plan.toClose.length} tab(s)`);
+  if (applied.closedAll) fired.push(`${name}: closed every tab in the group`);
+  return fired;
+}
+
+// Number of items each source returned, for the sync log
+function sourceCounts(result) {
+  return result.sources.map(({ id, label, ok, complete, error }) => ({
+    label,
+    count: result.items.filter(item => item.sources.includes(id)).length,
+    ok,
+    complete,
+    error
+  }));
+}
+
+// Sync a single group instance. A reconcile only fixes the group's membership,
+// order and title from the last results: it doesn't fetch, open or close tabs.
+// Full syncs are recorded in the sync log with the trigger that asked for them;
+// reconciles only when they moved tabs or failed.
+async function syncGroup(config, { reconcileOnly = false, trigger = "manual" } = {}) {
+  const provider = getProvider(config.provider);
+  if (!provider) {
+    console.error(`[Live Tab Groups] Provider ${config.provider} not found for group ${config.id}`);
+    return;
+  }
+
+  if (!config.enabled) {
+    console.log(`[Live Tab Groups] ${config.id} is disabled, skipping sync`);
+    return;
+  }
+
+  console.log(`[Live Tab Groups] Starting ${reconcileOnly ? "reconcile" : "sync"} for ${config.id} (${config.provider})`);
+
+  const run = {
+    id: crypto.randomUUID(),
+    groupId: config.id,
+    groupTitle: config.groupTitle,
+    trigger,
+    reconcileOnly,
+    startedAt: Date.now(),
+    duration: 0,
+    outcome: "ok",
+    sources: [],
+    created: 0,
+    adopted: 0,
+    closed: 0,
+    safeguards: [],
+    errors: []
+  };
+
+  try {
+    config = await withCredentials(config);
+    const base = await gatherSyncState(config, provider, { reconcileOnly });
+    if (!base) {
+      console.log(`[Live Tab Groups] ${config.id} has not been synced yet, nothing to reconcile`);
+      return;
+    }
+    const { result, items, wanted, normalize } = base;
+    console.log(`[Live Tab Groups] Fetched ${items.length} URLs from provider`);
+    if (wanted.length < items.length) {
+      console.log(`[Live Tab Groups] Skipping ${items.length - wanted.length} snoozed item(s)`);
+    }
+
+    const unhealthy = unhealthySourceIds(result);
+    for (const source of result.sources.filter(s => unhealthy.has(s.id))) {
+      console.warn(`[Live Tab Groups] ⚠️ Source "${source.label}" ${source.ok ? "is incomplete" : "failed"}: ${source.error}`);
+      if (!source.ok) run.errors.push(`${source.label}: ${source.error}`);
+    }
+    if (!reconcileOnly) {
+      run.sources = sourceCounts(result);
+      // A fetch whose queries failed synced nothing from them, even though the
+      // provider itself didn't throw
+      if (result.sources.some(s => !s.ok)) run.outcome = "failed";
+    }
+
+    // Remember which sources returned each item, so a later sync knows which
+    // sources a tab's removal depends on
+    const targets = await syncTargets(base);
+    if (!reconcileOnly) {
+      await setGroupStatus(config.id, {
+        lastSync: Date.now(),
+        sources: result.sources,
+        itemSources: trackItemSources(result, base.previousItemSources, normalize),
+        items: items.map(itemSummary),
+        targets: targets.map(t => ({ id: t.id, title: t.groupTitle, urls: t.urls })),
+        error: null
+      });
+    }
+
+    // An item that moved to another sub-group is still in the results, so the
+    // group it left keeps its tab until the new one adopts it
+    for (const target of targets) {
+      const state = await gatherTargetState(base, target);
+      const plan = planSync(state);
+      if (plan.abort) {
+        console.warn(`[Live Tab Groups] ⚠️ ${target.groupTitle}: ${plan.abort}. Skipping sync to prevent data loss.`);
+        run.safeguards.push(`${target.groupTitle}: ${plan.abort}`);
+        continue;
+      }
+      console.log(`[Live Tab Groups] Plan for ${target.groupTitle}: create ${plan.toCreate.length}, adopt ${plan.toAdopt.length}, close ${plan.toClose.length}`);
+      const applied = await applyPlan(state, plan);
+      run.created += plan.toCreate.length;
+      run.adopted += plan.toAdopt.length;
+      run.closed += applied.closed;
+      run.safeguards.push(...safeguardsFired(target, plan, applied));
+    }
+
+    // Tabs are in place by now, so a notification can take the user to one
+    if (!reconcileOnly) {
+      await notifyChanges(config, [...itemChanges(config, base), ...await mergedSinceLastSync(config, base)]);
+    }
+
+    console.log(`[Live Tab Groups] ✓ ${reconcileOnly ? "Reconcile" : "Sync"} completed successfully for ${config.id}`);
+    if (!reconcileOnly || run.adopted > 0) await recordSyncRun(run);
+  } catch (error) {
+    // Rate limited: try again once the limit resets, without touching any tabs
+    if (error instanceof RateLimitError) {
+      console.warn(`[Live Tab Groups] ${config.id} deferred until ${new Date(error.retryAt).toLocaleTimeString()}: ${error.message}`);
+      const previousStatus = (await getStatus())[config.id];
+      await setGroupStatus(config.id, { ...previousStatus, retryAt: error.retryAt });
+      await scheduleRetry(config, error.retryAt);
+      run.outcome = "deferred";
+      run.safeguards.push(`Rate limited, retrying at ${new Date(error.retryAt).toLocaleTimeString()}: ${error.message}`);
+      await recordSyncRun(run);
+      return;
+    }
+
+    console.error(`[Live Tab Groups] ✗ ${reconcileOnly ? "Reconcile" : "Sync"} failed for ${config.id}:`, error);
+    run.outcome = "failed";
+    run.errors.push(error.message);
+    await recordSyncRun(run);
+    if (reconcileOnly) throw error;
+    const previousStatus = (await getStatus())[config.id];
+    await setGroupStatus(config.id, { ...previousStatus, lastSync: Date.now(), sources: [], error: error.message, retryAt: null });
+    throw error;
+  }
+}
+
+// Add a finished run to the sync log. The log is only diagnostics, so
+// failing to write it never fails the sync.
+async function recordSyncRun(run) {
+  run.duration = Date.now() - run.startedAt;
+  try {
+    await addSyncLogEntry(run);
+  } catch (error) {
+    console.error("[Live Tab Groups] Failed to record sync run:", error);
+  }
+}
+
+// Work out what a sync of the group would do right now, without doing it.
+// Returns a plan per target group: [{ title, plan }].
+async function previewSync(config) {
+  const provider = getProvider(config.provider);
+  if (!provider) throw new Error(`Provider ${config.provider} not found`);
+
+  const base = await gatherSyncState(await withCredentials(config), provider, { preview: true });
+  const plans = [];
+  for (const target of await syncTargets(base)) {
+    plans.push({ title: target.groupTitle, plan: planSync(await gatherTargetState(base, target)) });
+  }
+  return plans;
+}
+
+// Move a group's next poll to the given time. Polling continues at the usual
+// interval from there.
+async function scheduleRetry(config, retryAt) {
+  if (!isPolled(config)) return;
+  await engineEnv.browser.alarms.create(alarmName(config.id), {
+    when: retryAt + 1000,
+    periodInMinutes: pollMinutesFor(config, await isIdle())
+  });
+}
+
+// Default window for new groups: the first normal window
+async function getSyncWindowId() {
+  const [win] = await engineEnv.browser.windows.getAll({ populate: false, windowTypes: ["normal"] });
+  return win ? win.id : (await engineEnv.browser.windows.getCurrent()).id;
+}
@@ -0,0 +1,311 @@
+// In-memory stand-in for the parts of the WebExtension API the sync engine uses.
+// Tabs live in windows in order; a tab group disappears with its last tab, like
+// in the browser. Everything handed out is a copy, so the engine can't change
+// the state behind the fake's back.
+
+// Turn a match pattern like "*://github.com/*/*/pull/*" into a RegExp
+function matchPatternRegExp(pattern) {
+  if (pattern === "<all_urls>") return /^(https?|file|ftp):/;
+  const [, scheme, host, path] = pattern.match(/^(\*|[a-z]+):\/\/([^/]*)(\/.*)$/);
+  const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  const schemeRe = scheme === "*" ? "https?" : escape(scheme);
+  const hostRe = host === "*" ? "[^/]+" : escape(host).replace(/^\\\*\\\./, "(?:[^/]+\\.)?").replace(/\*/g, "[^/]*");
+  const pathRe = escape(path).replace(/\*/g, ".*");
+  return new RegExp(`^${schemeRe}://${hostRe}${pathRe}$`);
+}
+
+function createStorageArea() {
+  let data = {};
+  return {
+    async get(keys) {
+      if (keys === null || keys === undefined) return structuredClone(data);
+      if (typeof keys === "string") keys = [keys];
+      const defaults = Array.isArray(keys) ? {} : keys;
+      const result = {};
+      for (const key of Array.isArray(keys) ? keys : Object.keys(keys)) {
+        if (key in data) result[key] = structuredClone(data[key]);
+        else if (key in defaults) result[key] = defaults[key];
+      }
+      return result;
+    },
+    async set(items) {
+      data = { ...data, ...structuredClone(items) };
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    },
+    async clear() {
+      data = {};
+    },
+    // For tests: the stored data, not a copy
+    get data() {
+      return data;
+    }
+  };
+}
+
+// A listener registry that does nothing with its listeners
+function fakeEvent() {
+  const listeners = [];
+  return {
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => listeners.splice(listeners.indexOf(listener), 1),
+    hasListener: listener => listeners.includes(listener),
+    listeners
+  };
+}
+
+function createFakeBrowser({ windowIds = [1] } = {}) {
+  let nextTabId = 1;
+  let nextGroupId = 100;
+  const tabs = new Map();
+  const groups = new Map();
+  // Tab IDs of each window, in tab strip order
+  const windows = new Map(windowIds.map(id => [id, []]));
+  // Recently closed tabs, newest first, like sessions.getRecentlyClosed
+  const closedTabs = [];
+  const notifications = new Map();
+  const alarms = new Map();
+  let idleState = "active";
+
+  const copyTab = tab => ({ ...tab, index: windows.get(tab.windowId).indexOf(tab.id) });
+
+  function getTab(tabId) {
+    const tab = tabs.get(tabId);
+    if (!tab) throw new Error(`Invalid tab ID: ${tabId}`);
+    return tab;
+  }
+
+  // Put a tab at a position in a window, -1 or past the end being the end
+  function place(tab, windowId, index = -1) {
+    windows.get(tab.windowId).splice(windows.get(tab.windowId).indexOf(tab.id), 1);
+    const order = windows.get(windowId);
+    tab.windowId = windowId;
+    order.splice(index === -1 || index > order.length ? order.length : index, 0, tab.id);
+  }
+
+  // Groups without tabs are gone, like in the browser
+  function dropEmptyGroups() {
+    for (const id of groups.keys()) {
+      if (![...tabs.values()].some(t => t.groupId === id)) groups.delete(id);
+    }
+  }
+
+  // Open a tab directly, for setting up a test
+  function openTab({ url, title = url, windowId = windowIds[0], active = false, pinned = false, audible = false, lastAccessed = 0, groupId = -1 }) {
+    const tab = { id: nextTabId++, url, title, windowId, active, pinned, audible, lastAccessed, groupId, discarded: false };
+    tabs.set(tab.id, tab);
+    windows.get(windowId).push(tab.id);
+    if (active) {
+      for (const other of tabs.values()) {
+        if (other.windowId === windowId && other.id !== tab.id) other.active = false;
+      }
+    }
+    return copyTab(tab);
+  }
+
+  // Create a tab group directly, for setting up a test
+  function openGroup({ title = "", color = "grey", tabIds, windowId = windowIds[0] }) {
+    const group = { id: nextGroupId++, title, color, collapsed: false, windowId };
+    groups.set(group.id, group);
+    for (const id of tabIds) getTab(id).groupId = group.id;
+    return { ...group };
+  }
+
+  const browser = {
+    tabs: {
+      async query(info = {}) {
+        const patterns = info.url === undefined ? null : [].concat(info.url).map(matchPatternRegExp);
+        return [...tabs.values()]
+          .filter(t => !patterns || (t.url && patterns.some(re => re.test(t.url))))
+          .filter(t => info.groupId === undefined || t.groupId === info.groupId)
+          .filter(t => info.active === undefined || t.active === info.active)
+          .filter(t => info.windowId === undefined || t.windowId === info.windowId)
+          .filter(t => !info.currentWindow || t.windowId === windowIds[0])
+          .map(copyTab);
+      },
+      async get(tabId) {
+        return copyTab(getTab(tabId));
+      },
+      async create({ url, active = true, windowId = windowIds[0], discarded = false, title }) {
+        const tab = openTab({ url, title: title || url, windowId, active });
+        getTab(tab.id).discarded = discarded;
+        return copyTab(getTab(tab.id));
+      },
+      async update(tabId, props) {
+        const tab = getTab(tabId);
+        Object.assign(tab, props);
+        return copyTab(tab);
+      },
+      async remove(tabIds) {
+        for (const id of [].concat(tabIds)) {
+          const tab = getTab(id);
+          windows.get(tab.windowId).splice(windows.get(tab.windowId).indexOf(id), 1);
+          tabs.delete(id);
+          closedTabs.unshift({ lastModified: Date.now(), tab: { sessionId: `closed-${id}`, url: tab.url, title: tab.title, windowId: tab.windowId } });
+        }
+        dropEmptyGroups();
+      },
+      async move(tabIds, { windowId, index }) {
+        const ids = [].concat(tabIds);
+        ids.forEach((id, i) => {
+          const tab = getTab(id);
+          place(tab, windowId ?? tab.windowId, index === -1 ? -1 : index + i);
+        });
+        return ids.map(id => copyTab(getTab(id)));
+      },
+      async group({ groupId, tabIds, createProperties = {} }) {
+        let group = groups.get(groupId);
+        if (groupId !== undefined && !group) throw new Error(`No group with id: ${groupId}`);
+        if (!group) {
+          const windowId = createProperties.windowId ?? getTab([].concat(tabIds)[0]).windowId;
+          group = { id: nextGroupId++, title: "", color: "grey", collapsed: false, windowId };
+          groups.set(group.id, group);
+        }
+        for (const id of [].concat(tabIds)) {
+          const tab = getTab(id);
+          if (tab.windowId !== group.windowId) place(tab, group.windowId);
+          tab.groupId = group.id;
+        }
+        dropEmptyGroups();
+        return group.id;
+      },
+      async ungroup(tabIds) {
+        for (const id of [].concat(tabIds)) getTab(id).groupId = -1;
+        dropEmptyGroups();
+      },
+      async discard(tabIds) {
+        for (const id of [].concat(tabIds)) getTab(id).discarded = true;
+      },
+      onRemoved: fakeEvent(),
+      onUpdated: fakeEvent()
+    },
+
+    tabGroups: {
+      async get(groupId) {
+        const group = groups.get(groupId);
+        if (!group) throw new Error(`No group with id: ${groupId}`);
+        return { ...group };
+      },
+      async query(info = {}) {
+        return [...groups.values()]
+          .filter(g => info.windowId === undefined || g.windowId === info.windowId)
+          .filter(g => info.title === undefined || g.title === info.title)
+          .map(g => ({ ...g }));
+      },
+      async update(groupId, props) {
+        const group = groups.get(groupId);
+        if (!group) throw new Error(`No group with id: ${groupId}`);
+        Object.assign(group, props);
+        return { ...group };
+      },
+      async move(groupId, { windowId, index }) {
+        const group = groups.get(groupId);
+        for (const tab of [...tabs.values()].filter(t => t.groupId === groupId)) place(tab, windowId, index);
+        group.windowId = windowId;
+        return { ...group };
+      },
+      onRemoved: fakeEvent()
+    },
+
+    windows: {
+      WINDOW_ID_NONE: -1,
+      async getAll() {
+        return windowIds.map(id => ({ id, type: "normal", focused: id === windowIds[0] }));
+      },
+      async get(windowId) {
+        return { id: windowId, type: "normal", focused: windowId === windowIds[0] };
+      },
+      async getCurrent() {
+        return { id: windowIds[0], type: "normal", focused: true };
+      },
+      async getLastFocused() {
+        return { id: windowIds[0], type: "normal", focused: true };
+      },
+      async update(windowId, props) {
+        return { id: windowId, type: "normal", ...props };
+      },
+      onFocusChanged: fakeEvent()
+    },
+
+    storage: {
+      local: createStorageArea(),
+      session: createStorageArea(),
+      sync: createStorageArea(),
+      onChanged: fakeEvent()
+    },
+
+    alarms: {
+      async create(name, { when, delayInMinutes, periodInMinutes }) {
+        const scheduledTime = when ?? Date.now() + (delayInMinutes ?? periodInMinutes) * 60000;
+        alarms.set(name, { name, scheduledTime, periodInMinutes });
+      },
+      async getAll() {
+        return [...alarms.values()];
+      },
+      async clear(name) {
+        return alarms.delete(name);
+      },
+      onAlarm: fakeEvent()
+    },
+
+    notifications: {
+      async create(id, options) {
+        notifications.set(id, options);
+        return id;
+      },
+      async clear(id) {
+        return notifications.delete(id);
+      },
+      onClicked: fakeEvent(),
+      onClosed: fakeEvent()
+    },
+
+    sessions: {
+      async getRecentlyClosed() {
+        return structuredClone(closedTabs);
+      },
+      async restore(sessionId) {
+        const index = closedTabs.findIndex(c => c.tab.sessionId === sessionId);
+        if (index === -1) throw new Error(`No closed tab with session ID ${sessionId}`);
+        const [{ tab }] = closedTabs.splice(index, 1);
+        return { lastModified: Date.now(), tab: openTab({ url: tab.url, title: tab.title, windowId: tab.windowId }) };
+      }
+    },
+
+    permissions: {
+      async contains() {
+        return true;
+      }
+    },
+
+    idle: {
+      async queryState() {
+        return idleState;
+      }
+    }
+  };
+
+  return {
+    browser,
+    openTab,
+    openGroup,
+    // What the tests look at
+    tab: id => tabs.has(id) ? copyTab(tabs.get(id)) : null,
+    allTabs: () => [...tabs.values()].map(copyTab),
+    tabsInGroup: groupId => [...tabs.values()].filter(t => t.groupId === groupId).map(copyTab),
+    groups: () => [...groups.values()].map(g => ({ ...g })),
+    closedTabs,
+    notifications,
+    alarms,
+    setIdle: state => {
+      idleState = state;
+    },
+    // The user looking at a tab, `when` ms since epoch
+    visitTab: (tabId, when = Date.now()) => {
+      getTab(tabId).lastAccessed = when;
+    }
+  };
+}
+
+module.exports = { createFakeBrowser, matchPatternRegExp };
@@ -0,0 +1,249 @@
+// GitHubPRProvider against a stubbed fetch, and through the sync engine.
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadEngine, addGroup, json, stubFetch } = require("./harness");
+
+const API = "https://api.github.com";
+
+function pr(n, details = {}) {
+  return {
+    html_url: `https://github.com/octo/repo/pull/${n}`,
+    pull_request: {},
+    title: `PR ${n}`,
+    number: n,
+    repository_url: `${API}/repos/octo/repo`,
+    state: "open",
+    draft: false,
+    labels: [],
+    updated_at: "2026-10-01T00:00:00Z",
+    node_id: `PR_${n}`,
+    ...details
+  };
+}
+
+// Routes every test needs: the token's user and the review decision lookup
+const userRoute = [/^GET .*\/user$/, () => json({ login: "octo" }, { headers: { "X-OAuth-Scopes": "repo" } })];
+const graphqlRoute = [/^POST .*\/graphql$/, (url, options) => {
+  const { variables } = JSON.parse(options.body);
+  return json({ data: { nodes: variables.ids.map(id => ({ id, reviewDecision: null, merged: false, commits: { nodes: [] } })) } });
+}];
+
+function prConfig(settings = {}) {
+  return { id: "prs", provider: "github-prs", token: "ghp_test", webUrl: "https://github.com", apiUrl: "", queries: ["is:pr is:open author:@me"], maxPages: 10, ...settings };
+}
+
+function searchPage(items, { total = items.length, next = null } = {}) {
+  return json({ total_count: total, incomplete_results: false, items }, {
+    headers: next ? { Link: `<${next}>; rel="next", <${next}>; rel="last"` } : {}
+  });
+}
+
+test("follows search pagination through the Link header", async () => {
+  const page2 = `${API}/search/issues?q=is%3Apr&per_page=100&page=2`;
+  const { fetch, calls } = stubFetch([
+    userRoute,
+    graphqlRoute,
+    [/page=2/, () => searchPage([pr(101), pr(102)], { total: 102 })],
+    [/search\/issues/, () => searchPage(Array.from({ length: 100 }, (_, i) => pr(i + 1)), { total: 102, next: page2 })]
+  ]);
+  const env = loadEngine({ fetch });
+  const provider = env.engine.getProvider("github-prs");
+
+  const result = await provider.fetchUrls(prConfig());
+
+  assert.equal(result.items.length, 102);
+  assert.equal(result.sources.length, 1);
+  assert.equal(result.sources[0].ok, true);
+  assert.equal(result.sources[0].complete, true);
+  assert.equal(calls.filter(c => c.request.includes("search/issues")).length, 2);
+  // @me is resolved to the token's user
+  assert.match(calls.find(c => c.request.includes("search/issues")).request, /author%3Aocto/);
+});
+
+test("marks a query incomplete when it has more pages than allowed", async () => {
+  const { fetch } = stubFetch([
+    userRoute,
+    graphqlRoute,
+    [/search\/issues/, () => searchPage([pr(1)], { total: 2, next: `${API}/search/issues?page=2` })]
+  ]);
+  const env = loadEngine({ fetch });
+
+  const result = await env.engine.getProvider("github-prs").fetchUrls(prConfig({ maxPages: 1 }));
+
+  assert.equal(result.items.length, 1);
+  assert.equal(result.sources[0].ok, true);
+  assert.equal(result.sources[0].complete, false);
+  assert.match(result.sources[0].error, /got 1 of 2/);
+});
+
+test("reports a failed query without failing the other queries", async () => {
+  const { fetch } = stubFetch([
+    userRoute,
+    graphqlRoute,
+    [/review-requested/, () => new Response("Server error", { status: 500, statusText: "Internal Server Error" })],
+    [/search\/issues/, () => searchPage([pr(1)])]
+  ]);
+  const env = loadEngine({ fetch });
+
+  const result = await env.engine.getProvider("github-prs")
+    .fetchUrls(prConfig({ queries: ["is:pr author:@me", "is:pr review-requested:@me"] }));
+
+  assert.deepEqual([...result.items.map(i => i.url)], ["https://github.com/octo/repo/pull/1"]);
+  const [mine, review] = result.sources;
+  assert.equal(mine.ok, true);
+  assert.equal(review.ok, false);
+  assert.match(review.error, /GitHub API error 500/);
+});
+
+test("reports an invalid token", async () => {
+  const { fetch } = stubFetch([
+    userRoute,
+    [/search\/issues/, () => new Response("Bad credentials", { status: 401, statusText: "Unauthorized" })]
+  ]);
+  const env = loadEngine({ fetch });
+
+  const result = await env.engine.getProvider("github-prs").fetchUrls(prConfig());
+
+  assert.equal(result.sources[0].ok, false);
+  assert.match(result.sources[0].error, /Authentication failed \(401\)/);
+});
+
+test("returns an unavailable result without a token", async () => {
+  const env = loadEngine();
+
+  const result = await env.engine.getProvider("github-prs").fetchUrls(prConfig({ token: "" }));
+
+  assert.equal(result.authoritative, false);
+  assert.equal(result.sources[0].ok, false);
+});
+
+test("adds review decisions, checks and merges from GraphQL", async () => {
+  const { fetch } = stubFetch([
+    userRoute,
+    [/^POST .*\/graphql$/, () => json({
+      data: {
+        nodes: [
+          { id: "PR_1", reviewDecision: "APPROVED", merged: false, commits: { nodes: [{ commit: { statusCheckRollup: { state: "FAILURE" } } }] } },
+          { id: "PR_2", reviewDecision: null, merged: true, commits: { nodes: [] } }
+        ]
+      }
+    })],
+    [/search\/issues/, () => searchPage([pr(1), pr(2, { state: "closed" })])]
+  ]);
+  const env = loadEngine({ fetch });
+
+  const result = await env.engine.getProvider("github-prs").fetchUrls(prConfig());
+
+  const [first, second] = result.items;
+  assert.equal(first.reviewDecision, "APPROVED");
+  assert.equal(first.ciState, "FAILURE");
+  assert.equal(second.state, "merged");
+});
+
+test("throws a rate limit error when GitHub asks to slow down", async () => {
+  const { fetch } = stubFetch([
+    userRoute,
+    [/search\/issues/, () => new Response("Slow down", { status: 403, statusText: "Forbidden", headers: { "Retry-After": "60" } })]
+  ]);
+  const env = loadEngine({ fetch });
+  const RateLimitError = env.global("RateLimitError");
+
+  await assert.rejects(env.engine.getProvider("github-prs").fetchUrls(prConfig()), RateLimitError);
+});
+
+test("refreshes an expiring sign-in once when a preview and a sync overlap", async () => {
+  const { fetch, calls } = stubFetch([
+    [/\/login\/oauth\/access_token$/, () => json({ access_token: "ghu_new", refresh_token: "ghr_new", expires_in: 28800 })],
+    userRoute,
+    graphqlRoute,
+    [/search\/issues/, () => searchPage([pr(1)])]
+  ]);
+  const env = loadEngine({ fetch });
+  const { token, ...settings } = prConfig({ oauthClientId: "Iv1.test" });
+  const config = await addGroup(env, settings);
+  await env.engine.setGroupCredentials("prs", { token: "ghu_old", oauth: { refreshToken: "ghr_old", expiresAt: Date.now() + 1000 } });
+
+  await Promise.all([env.engine.previewSync(config), env.engine.syncGroup(config)]);
+
+  assert.equal(calls.filter(c => c.request.includes("/login/oauth/access_token")).length, 1);
+  assert.equal((await env.engine.getGroupCredentials("prs")).token, "ghu_new");
+});
+
+test("keeps the cached pages of groups that sync at the same time", async () => {
+  // Both searches are in flight before either is answered
+  let arrived;
+  const bothArrived = new Promise(resolve => {
+    let count = 0;
+    arrived = () => ++count === 2 && resolve();
+  });
+  const { fetch } = stubFetch([
+    userRoute,
+    graphqlRoute,
+    [/search\/issues/, async () => {
+      arrived();
+      await bothArrived;
+      return json({ total_count: 1, incomplete_results: false, items: [pr(1)] }, { headers: { ETag: "\"v1\"" } });
+    }]
+  ]);
+  const env = loadEngine({ fetch });
+  const provider = env.engine.getProvider("github-prs");
+
+  await Promise.all([provider.fetchUrls(prConfig()), provider.fetchUrls(prConfig({ id: "team", token: "ghp_team" }))]);
+
+  const { githubCache } = await env.browser.storage.session.get("githubCache");
+  assert.equal(Object.keys(githubCache).length, 2);
+});
+
+test("keeps both new tokens when two groups refresh their sign-in at once", async () => {
+  const { fetch } = stubFetch([
+    [/\/login\/oauth\/access_token$/, (url, options) => {
+      const { refresh_token } = JSON.parse(options.body);
+      return json({ access_token: `ghu_${refresh_token}`, refresh_token: `${refresh_token}_next`, expires_in: 28800 });
+    }]
+  ]);
+  const env = loadEngine({ fetch });
+  const configs = [];
+  for (const id of ["prs", "more-prs"]) {
+    const { token, ...settings } = prConfig({ id, oauthClientId: "Iv1.test" });
+    configs.push(await addGroup(env, settings));
+    await env.engine.setGroupCredentials(id, { token: "ghu_old", oauth: { refreshToken: id, expiresAt: Date.now() + 1000 } });
+  }
+
+  await Promise.all(configs.map(config => env.engine.withCredentials(config)));
+
+  assert.equal((await env.engine.getGroupCredentials("prs")).oauth.refreshToken, "prs_next");
+  assert.equal((await env.engine.getGroupCredentials("more-prs")).oauth.refreshToken, "more-prs_next");
+});
+
+test("syncs pull requests into a group and defers a rate limited sync", async () => {
+  let limited = false;
+  const { fetch } = stubFetch([
+    userRoute,
+    graphqlRoute,
+    [/search\/issues/, () => limited
+      ? new Response("Slow down", { status: 429, statusText: "Too Many Requests", headers: { "Retry-After": "60" } })
+      : searchPage([pr(1), pr(2)])]
+  ]);
+  const env = loadEngine({ fetch });
+  const { token, ...settings } = prConfig({ closeMissing: true });
+  const config = await addGroup(env, settings);
+  await env.engine.setGroupCredentials("prs", { token });
+  const files = env.openTab({ url: "https://github.com/octo/repo/pull/1/files" });
+
+  await env.engine.syncGroup(config);
+
+  const [group] = env.groups();
+  assert.equal(group.title, "GitHub PRs");
+  assert.equal(env.tabsInGroup(group.id).length, 2);
+  assert.equal(env.tab(files.id).groupId, group.id);
+
+  limited = true;
+  await env.engine.syncGroup(config);
+
+  assert.equal(env.tabsInGroup(group.id).length, 2);
+  assert.ok((await env.engine.getStatus()).prs.retryAt > Date.now());
+  const [entry] = await env.engine.getSyncLog();
+  assert.equal(entry.outcome, "deferred");
+});
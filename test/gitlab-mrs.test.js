@@ -0,0 +1,68 @@
+// GitLabMRProvider against a stubbed fetch.
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadEngine, json, stubFetch } = require("./harness");
+
+const BASE = "https://gitlab.example.com";
+
+function mr(n) {
+  return {
+    web_url: `${BASE}/group/project/-/merge_requests/${n}`,
+    title: `MR ${n}`,
+    iid: n,
+    references: { full: `group/project!${n}` },
+    state: "opened",
+    draft: false,
+    labels: [],
+    updated_at: "2026-10-01T00:00:00Z"
+  };
+}
+
+// Answers the user lookup, and each page of MRs from `pages` with X-Next-Page
+// pointing at the following one
+function pagedFetch(pages) {
+  return stubFetch([
+    [/\/api\/v4\/user$/, () => json({ id: 7, username: "octo" })],
+    [/\/merge_requests\?/, url => {
+      const page = Number(new URL(url).searchParams.get("page"));
+      const headers = page < pages.length ? { "X-Next-Page": String(page + 1) } : {};
+      return json(pages[page - 1], { headers });
+    }]
+  ]);
+}
+
+function mrConfig(settings = {}) {
+  return { id: "mrs", provider: "gitlab-mrs", instanceUrl: BASE, token: "glpat-test", queries: ["author_id=@me"], maxPages: 10, ...settings };
+}
+
+test("follows merge request pages through X-Next-Page", async () => {
+  const { fetch, calls } = pagedFetch([[mr(1), mr(2)], [mr(3)]]);
+  const provider = loadEngine({ fetch }).engine.getProvider("gitlab-mrs");
+
+  const result = await provider.fetchUrls(mrConfig());
+
+  assert.deepEqual([...result.items.map(item => item.number)], [1, 2, 3]);
+  assert.equal(result.sources[0].complete, true);
+  assert.equal(calls.filter(c => c.request.includes("merge_requests")).length, 2);
+  // @me is resolved to the token's user ID
+  assert.match(calls.find(c => c.request.includes("merge_requests")).request, /author_id=7/);
+});
+
+test("marks a query with more pages than maxPages incomplete", async () => {
+  const { fetch } = pagedFetch([[mr(1)], [mr(2)], [mr(3)]]);
+  const provider = loadEngine({ fetch }).engine.getProvider("gitlab-mrs");
+
+  const result = await provider.fetchUrls(mrConfig({ maxPages: 2 }));
+
+  assert.equal(result.items.length, 2);
+  assert.equal(result.sources[0].ok, true);
+  assert.equal(result.sources[0].complete, false);
+});
+
+test("falls back to gitlab.com in the tab match pattern for an invalid instance URL", () => {
+  const provider = loadEngine().engine.getProvider("gitlab-mrs");
+
+  assert.equal(provider.getTabMatchPattern(mrConfig({ instanceUrl: "not a url" })), "*://gitlab.com/*/-/merge_requests/*");
+});
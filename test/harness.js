@@ -0,0 +1,147 @@
+// Loads the extension's scripts into a Node vm context, the way the manifest
+// loads them into the background page, and points the engine at a fake browser
+// and the given providers with setEngineEnv. background.js is left out: it only
+// wires up browser events.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const { createFakeBrowser } = require("./fake-browser");
+
+const ROOT = path.join(__dirname, "..");
+const MANIFEST = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+const ENGINE_SCRIPTS = MANIFEST.background.scripts.filter(file => file !== "background.js");
+
+// The scripts log every step; only show that when asked to
+const silentConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+// Load the engine. `providers` are registered next to the real ones, by ID;
+// `fetch` answers the real providers' requests.
+function loadEngine({ providers = {}, fetch, windowIds } = {}) {
+  const fake = createFakeBrowser({ windowIds });
+  const context = vm.createContext({
+    // The providers still reach the browser and fetch as globals
+    browser: fake.browser,
+    console: process.env.DEBUG ? console : silentConsole,
+    crypto,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    setTimeout,
+    clearTimeout,
+    structuredClone,
+    btoa,
+    atob,
+    fetch: fetch || (async url => {
+      throw new Error(`Unexpected fetch of ${url}`);
+    })
+  });
+  context.window = context;
+  for (const file of ENGINE_SCRIPTS) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  }
+  context.setEngineEnv({
+    browser: fake.browser,
+    providers: { ...context.LiveTabGroupsProviders, ...providers }
+  });
+
+  return {
+    ...fake,
+    engine: context,
+    // Top-level classes and constants aren't properties of the global object
+    global: name => vm.runInContext(name, context)
+  };
+}
+
+// A provider that returns the scripted results in turn, one per fetchUrls call.
+// A result is a list of URLs, a FetchResult-like object, or an Error to throw.
+// URLs are normalized like GitHub's: sub-paths after the item number are dropped.
+function scriptedProvider(id, results) {
+  const queue = [...results];
+  return {
+    id,
+    name: "Scripted",
+    description: "Returns scripted results",
+    fetchCount: 0,
+    async fetchUrls() {
+      this.fetchCount++;
+      const next = queue.length > 1 ? queue.shift() : queue[0];
+      if (next instanceof Error) throw next;
+      return structuredClone(next);
+    },
+    getTabMatchPattern() {
+      return "*://example.com/*";
+    },
+    normalizeUrl(url) {
+      const match = url.match(/^(https:\/\/example\.com\/item\/\d+)/);
+      return match ? match[1] : url;
+    },
+    getDefaultConfig() {
+      return {
+        enabled: true,
+        groupTitle: "Scripted",
+        groupColor: "blue",
+        pollMinutes: 5,
+        closeMissing: true
+      };
+    },
+    validateConfig() {
+      return [];
+    }
+  };
+}
+
+// A structured result with one source per entry of `sources`: { id: [urls] }.
+// Mark sources as failed or truncated with `failed` and `truncated`.
+function fetchResult(sources, { failed = [], truncated = [], authoritative = true } = {}) {
+  const items = new Map();
+  for (const [source, urls] of Object.entries(sources)) {
+    for (const url of urls) {
+      const item = items.get(url) || { url, title: `Item ${url.split("/").pop()}`, sources: [] };
+      item.sources.push(source);
+      items.set(url, item);
+    }
+  }
+  return {
+    items: [...items.values()],
+    sources: Object.keys(sources).map(id => ({
+      id,
+      label: id,
+      ok: !failed.includes(id),
+      complete: !truncated.includes(id),
+      error: failed.includes(id) ? "Request failed" : truncated.includes(id) ? "Truncated" : null
+    })),
+    authoritative
+  };
+}
+
+// Save a group config next to any added before, filled in with the defaults,
+// and return it as getCfg does
+async function addGroup(env, group) {
+  const { cfg: stored = { groups: [] } } = await env.browser.storage.local.get("cfg");
+  await env.browser.storage.local.set({ cfg: { groups: [...stored.groups, group] } });
+  const cfg = await env.engine.getCfg();
+  return cfg.groups.find(g => g.id === group.id);
+}
+
+// A JSON response, for the routes of stubFetch
+function json(body, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+}
+
+// A fetch that answers from a list of [matcher, handler] routes and records
+// every request. Matchers are tested against "METHOD url".
+function stubFetch(routes) {
+  const calls = [];
+  const fetch = async (url, options = {}) => {
+    const request = `${options.method || "GET"} ${url}`;
+    calls.push({ request, options });
+    const route = routes.find(([matcher]) => matcher.test(request));
+    if (!route) throw new Error(`No route for ${request}`);
+    return route[1](url, options);
+  };
+  return { fetch, calls };
+}
+
+module.exports = { loadEngine, scriptedProvider, fetchResult, addGroup, json, stubFetch };
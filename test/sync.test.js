@@ -0,0 +1,430 @@
+// Sync engine against the fake browser and a scripted provider.
+// Run with: node --test test/*.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadEngine, scriptedProvider, fetchResult, addGroup } = require("./harness");
+
+const item = n => `https://example.com/item/${n}`;
+
+// A group backed by a provider that returns `results` in turn
+async function setup(results, settings = {}, { windowIds } = {}) {
+  const provider = scriptedProvider("scripted", results);
+  const env = loadEngine({ providers: { scripted: provider }, windowIds });
+  const config = await addGroup(env, { id: "g1", provider: "scripted", ...settings });
+  return {
+    env,
+    provider,
+    sync: options => env.engine.syncGroup(config, options),
+    groupTabs: () => {
+      const [group] = env.groups();
+      return group ? env.tabsInGroup(group.id) : [];
+    },
+    urls: tabs => tabs.map(t => t.url).sort()
+  };
+}
+
+test("opens a tab per item in a new group", async () => {
+  const { env, sync, groupTabs, urls } = await setup([[item(1), item(2)]]);
+  await sync();
+
+  const [group] = env.groups();
+  assert.equal(group.title, "Scripted");
+  assert.equal(group.color, "blue");
+  assert.deepEqual(urls(groupTabs()), [item(1), item(2)]);
+});
+
+test("adopts a tab open at a sub-path of an item instead of opening it again", async () => {
+  const { env, sync, groupTabs, urls } = await setup([[item(1), item(2)]]);
+  const files = env.openTab({ url: `${item(1)}/files#diff` });
+
+  await sync();
+
+  assert.equal(env.allTabs().length, 2);
+  assert.deepEqual(urls(groupTabs()), [`${item(1)}/files#diff`, item(2)]);
+  assert.notEqual(env.tab(files.id).groupId, -1);
+});
+
+test("adopts matching tabs from other windows", async () => {
+  const { env, sync } = await setup([[item(1)]], {}, { windowIds: [1, 2] });
+  const elsewhere = env.openTab({ url: item(1), windowId: 2 });
+
+  await sync();
+
+  assert.equal(env.allTabs().length, 1);
+  assert.equal(env.tab(elsewhere.id).windowId, 1);
+  assert.notEqual(env.tab(elsewhere.id).groupId, -1);
+});
+
+test("adopts a tab for a static list URL written without a trailing slash", async () => {
+  const env = loadEngine();
+  const config = await addGroup(env, { id: "list", provider: "static-list", urls: ["https://example.com", "file:///etc/hosts"] });
+  const open = env.openTab({ url: "https://example.com/" });
+
+  await env.engine.syncGroup(config);
+  await env.engine.syncGroup(config);
+
+  assert.equal(env.allTabs().length, 1);
+  assert.notEqual(env.tab(open.id).groupId, -1);
+});
+
+test("leaves tabs in another group's live group alone", async () => {
+  const env = loadEngine({
+    providers: {
+      mine: scriptedProvider("mine", [[item(1), item(2)]]),
+      team: scriptedProvider("team", [[item(2), item(3)]])
+    }
+  });
+  const mine = await addGroup(env, { id: "mine", provider: "mine", groupTitle: "Mine" });
+  const team = await addGroup(env, { id: "team", provider: "team", groupTitle: "Team" });
+  const byTitle = () => Object.fromEntries(env.groups().map(g => [g.title, g.id]));
+  const urlsIn = groupId => env.tabsInGroup(groupId).map(t => t.url).sort();
+
+  await env.engine.syncGroup(mine);
+  await env.engine.syncGroup(team);
+  const groups = byTitle();
+  await env.engine.syncGroup(mine);
+  await env.engine.syncGroup(team);
+
+  assert.deepEqual(byTitle(), groups);
+  assert.deepEqual(urlsIn(groups.Mine), [item(1), item(2)]);
+  assert.deepEqual(urlsIn(groups.Team), [item(2), item(3)]);
+});
+
+test("doesn't take over a group whose title only starts like its own", async () => {
+  const { env, sync, urls } = await setup([[item(1)]]);
+  const copy = env.openGroup({ title: "Scripted (copy)", tabIds: [env.openTab({ url: "https://example.org/" }).id] });
+
+  await sync();
+
+  assert.deepEqual(urls(env.tabsInGroup(copy.id)), ["https://example.org/"]);
+  const own = env.groups().find(g => g.id !== copy.id);
+  assert.deepEqual(urls(env.tabsInGroup(own.id)), [item(1)]);
+});
+
+test("keeps the status and log of groups synced at the same time", async () => {
+  const env = loadEngine({
+    providers: {
+      mine: scriptedProvider("mine", [[item(1)]]),
+      team: scriptedProvider("team", [[item(2)]])
+    }
+  });
+  const mine = await addGroup(env, { id: "mine", provider: "mine", groupTitle: "Mine" });
+  const team = await addGroup(env, { id: "team", provider: "team", groupTitle: "Team" });
+
+  await Promise.all([env.engine.syncGroup(mine), env.engine.syncGroup(team)]);
+
+  assert.deepEqual(Object.keys(await env.engine.getStatus()).sort(), ["mine", "team"]);
+  assert.equal((await env.engine.getSyncLog()).length, 2);
+  assert.deepEqual(Object.keys(await env.engine.getLiveGroups()).sort(), ["mine", "team"]);
+});
+
+test("leaves the active tab out of the group", async () => {
+  const { env, sync, groupTabs, urls } = await setup([[item(1), item(2)]]);
+  const active = env.openTab({ url: item(1), active: true });
+
+  await sync();
+
+  assert.equal(env.tab(active.id).groupId, -1);
+  assert.deepEqual(urls(groupTabs()), [item(2)]);
+});
+
+test("never closes the active tab", async () => {
+  const { env, sync, groupTabs, urls } = await setup([[item(1), item(2)], [item(1)]]);
+  await sync();
+  const tab = groupTabs().find(t => t.url === item(2));
+  await env.browser.tabs.update(tab.id, { active: true });
+
+  await sync();
+
+  assert.ok(env.tab(tab.id));
+  assert.deepEqual(urls(groupTabs()), [item(1), item(2)]);
+});
+
+test("closes tabs whose items are gone when closeMissing is on", async () => {
+  const { env, sync, groupTabs, urls } = await setup([[item(1), item(2)], [item(1)]]);
+  await sync();
+  await sync();
+
+  assert.deepEqual(urls(groupTabs()), [item(1)]);
+  assert.deepEqual(urls(env.allTabs()), [item(1)]);
+
+  const history = await env.engine.getPruneHistory();
+  assert.equal(history.length, 1);
+  assert.equal(history[0].url, item(2));
+  assert.equal(history[0].action, "close");
+  assert.ok([...env.notifications.keys()].some(id => id.startsWith("pruned-")));
+});
+
+test("reopens the closed tab itself, not another one with the same URL", async () => {
+  const { env, sync, groupTabs } = await setup([[item(1), item(2)], [item(1)]]);
+  await sync();
+  const pruned = groupTabs().find(t => t.url === item(2));
+  await env.browser.tabs.update(pruned.id, { title: "Pruned" });
+  await sync();
+  await env.browser.tabs.remove(env.openTab({ url: item(2), title: "Closed by the user" }).id);
+
+  const [entry] = await env.engine.getPruneHistory();
+  await env.engine.restorePruned([entry.id]);
+
+  const reopened = env.allTabs().find(t => t.url === item(2));
+  assert.equal(reopened.title, "Pruned");
+  assert.equal(reopened.groupId, -1);
+  assert.deepEqual(env.closedTabs.map(c => c.tab.title), ["Closed by the user"]);
+});
+
+test("restores an unloaded tab without touching others with the same URL", async () => {
+  const { env, sync } = await setup([[item(1), item(2)], [item(1)]], { pruneAction: "discard" });
+  await sync();
+  await sync();
+  const other = env.openTab({ url: item(2) });
+  const mine = env.openGroup({ title: "Mine", tabIds: [other.id] });
+
+  const [entry] = await env.engine.getPruneHistory();
+  await env.engine.restorePruned([entry.id]);
+
+  assert.equal(env.tab(other.id).groupId, mine.id);
+  assert.equal(env.tab(entry.tabId).groupId, -1);
+});
+
+test("opens a new tab when the pruned tab's ID now belongs to another page", async () => {
+  const { env, sync } = await setup([[item(1), item(2)], [item(1)]], { pruneAction: "discard" });
+  await sync();
+  await sync();
+  const [entry] = await env.engine.getPruneHistory();
+  // After a restart the ID can belong to any tab
+  await env.browser.tabs.update(entry.tabId, { url: "https://example.org/" });
+  const mine = env.openGroup({ title: "Mine", tabIds: [entry.tabId] });
+
+  await env.engine.restorePruned([entry.id]);
+
+  assert.equal(env.tab(entry.tabId).groupId, mine.id);
+  const reopened = env.allTabs().filter(t => t.url === item(2));
+  assert.equal(reopened.length, 1);
+  assert.notEqual(reopened[0].id, entry.tabId);
+});
+
+test("archives into its own group, not one the user called Archived", async () => {
+  const { env, sync } = await setup([[item(1), item(2), item(3)], [item(1), item(2)], [item(1)]], { pruneAction: "archive" });
+  const users = env.openGroup({ title: "Archived", tabIds: [env.openTab({ url: "https://example.org/" }).id] });
+  await sync();
+  await sync();
+  await sync();
+
+  assert.equal(env.tabsInGroup(users.id).length, 1);
+  const archive = env.groups().find(g => g.title === "Archived" && g.id !== users.id);
+  assert.deepEqual(env.tabsInGroup(archive.id).map(t => t.url).sort(), [item(2), item(3)]);
+  assert.equal(archive.collapsed, true);
+});
+
+test("keeps tabs whose items are gone when closeMissing is off", async () => {
+  const { sync, groupTabs, urls } = await setup([[item(1), item(2)], [item(1)]], { closeMissing: false });
+  await sync();
+  await sync();
+
+  assert.deepEqual(urls(groupTabs()), [item(1), item(2)]);
+});
+
+test("leaves the group alone when the provider returns no items", async () => {
+  const { env, sync, groupTabs, urls } = await setup([[item(1), item(2)], []]);
+  await sync();
+  await sync();
+
+  assert.deepEqual(urls(groupTabs()), [item(1), item(2)]);
+  const [entry] = await env.engine.getSyncLog();
+  assert.equal(entry.closed, 0);
+  assert.match(entry.safeguards[0], /Provider returned no items/);
+});
+
+test("keeps tabs that depend on a failed or truncated source", async () => {
+  const { sync, groupTabs, urls } = await setup([
+    fetchResult({ mine: [item(1)], review: [item(2)], team: [item(3)] }),
+    fetchResult({ mine: [item(1)], review: [], team: [] }, { failed: ["review"], truncated: ["team"] })
+  ]);
+  await sync();
+  await sync();
+
+  assert.deepEqual(urls(groupTabs()), [item(1), item(2), item(3)]);
+});
+
+test("closes tabs once their failed source is healthy again", async () => {
+  const { sync, groupTabs, urls } = await setup([
+    fetchResult({ mine: [item(1)], review: [item(2)] }),
+    fetchResult({ mine: [item(1)], review: [] }, { failed: ["review"] }),
+    fetchResult({ mine: [item(1)], review: [] })
+  ]);
+  await sync();
+  await sync();
+  assert.deepEqual(urls(groupTabs()), [item(1), item(2)]);
+
+  await sync();
+  assert.deepEqual(urls(groupTabs()), [item(1)]);
+});
+
+test("keeps pinned and kept tabs", async () => {
+  const { env, sync, groupTabs, urls } = await setup([[item(1), item(2), item(3)], [item(1)]]);
+  await sync();
+  const [pinned, kept] = groupTabs().filter(t => t.url !== item(1)).sort((a, b) => a.url.localeCompare(b.url));
+  await env.browser.tabs.update(pinned.id, { pinned: true });
+  await env.browser.storage.session.set({ keptTabs: { [kept.id]: true } });
+
+  await sync();
+
+  assert.deepEqual(urls(groupTabs()), [item(1), item(2), item(3)]);
+});
+
+test("keeps tabs used within protectRecentMinutes", async () => {
+  const { env, sync, groupTabs, urls } = await setup([[item(1), item(2), item(3)], [item(1)]], { protectRecentMinutes: 10 });
+  await sync();
+  const [recent, earlier] = groupTabs().filter(t => t.url !== item(1)).sort((a, b) => a.url.localeCompare(b.url));
+  env.visitTab(recent.id, Date.now() - 5 * 60000);
+  env.visitTab(earlier.id, Date.now() - 15 * 60000);
+
+  await sync();
+
+  assert.deepEqual(urls(groupTabs()), [item(1), item(2)]);
+});
+
+test("asks before closing more tabs than allowed", async () => {
+  const { env, sync, groupTabs } = await setup([[item(1), item(2), item(3)], [item(1)]], { confirmCloseOver: 1 });
+  await sync();
+  await sync();
+
+  assert.equal(groupTabs().length, 3);
+  const { pendingCloses } = await env.browser.storage.session.get("pendingCloses");
+  assert.equal(pendingCloses.g1.tabs.length, 2);
+  assert.ok(env.notifications.has("close-g1"));
+});
+
+test("keeps asking about closing tabs through a reconcile", async () => {
+  const { env, sync, groupTabs } = await setup([[item(1), item(2), item(3)], [item(1)]], { confirmCloseOver: 1 });
+  await sync();
+  await sync();
+
+  await sync({ reconcileOnly: true });
+
+  assert.equal(groupTabs().length, 3);
+  const { pendingCloses } = await env.browser.storage.session.get("pendingCloses");
+  assert.equal(pendingCloses.g1.tabs.length, 2);
+  assert.ok(env.notifications.has("close-g1"));
+});
+
+test("doesn't ask again about closing tabs the user kept", async () => {
+  const { env, sync, groupTabs } = await setup([[item(1), item(2), item(3), item(4)], [item(1)]], { confirmCloseOver: 1 });
+  await sync();
+  await sync();
+  const { pendingCloses } = await env.browser.storage.session.get("pendingCloses");
+  await env.browser.storage.session.set({ pendingCloses: { g1: { ...pendingCloses.g1, declined: true } } });
+  await env.browser.notifications.clear("close-g1");
+
+  await sync();
+  await env.browser.tabs.remove(groupTabs().find(t => t.url === item(2)).id);
+  await sync();
+
+  assert.equal(groupTabs().length, 3);
+  assert.ok(!env.notifications.has("close-g1"));
+});
+
+test("prunes a sub-group whose items are gone after a restart", async () => {
+  const items = list => ({
+    items: list.map(([n, draft]) => ({ url: item(n), title: `Item ${n}`, draft, sources: ["default"] })),
+    sources: [{ id: "default", label: "Provider", ok: true, complete: true, error: null }],
+    authoritative: true
+  });
+  const { env, sync } = await setup([items([[1, true], [2, false], [3, true]]), items([[2, false]])],
+    { splitBy: "state", splitColors: ["Draft = purple"] });
+  await sync();
+  const drafts = env.groups().find(g => g.title === "Scripted: Draft");
+  const pinned = env.tabsInGroup(drafts.id).find(t => t.url === item(3));
+  await env.browser.tabs.update(pinned.id, { pinned: true });
+  // Group IDs are forgotten with the session
+  await env.browser.storage.session.clear();
+
+  await sync();
+
+  assert.deepEqual(env.tabsInGroup(drafts.id).map(t => t.url), [item(3)]);
+  assert.equal(env.groups().find(g => g.id === drafts.id).color, "purple");
+});
+
+test("previews a sync without touching any tabs", async () => {
+  const { env, groupTabs } = await setup([[item(1), item(2)]]);
+  const [config] = (await env.engine.getCfg()).groups;
+
+  const [{ plan }] = await env.engine.previewSync(config);
+
+  assert.equal(plan.toCreate.length, 2);
+  assert.equal(env.allTabs().length, 0);
+  assert.equal(groupTabs().length, 0);
+});
+
+test("syncs a group without tokens while the tokens are locked", async () => {
+  const { env, sync, groupTabs } = await setup([[item(1)]]);
+  await env.browser.storage.local.set({ credentials: { encrypted: true, salt: "", iv: "", data: "", groupIds: ["other"] } });
+
+  await sync();
+
+  assert.equal(groupTabs().length, 1);
+});
+
+test("keeps custom feed headers with the tokens, out of exports", async () => {
+  const env = loadEngine();
+  await addGroup(env, { id: "feed", provider: "custom-feed", feedUrl: "https://tools.example.com/feed", headers: ["X-Api-Key: secret"] });
+
+  const cfg = await env.engine.migrateCredentials(await env.engine.getCfg());
+
+  assert.doesNotMatch(env.engine.exportCfg(cfg), /secret/);
+  const [group] = cfg.groups;
+  assert.deepEqual([...(await env.engine.withCredentials(group)).headers], ["X-Api-Key: secret"]);
+});
+
+test("records each sync in the sync log", async () => {
+  const { env, sync } = await setup([fetchResult({ mine: [item(1)], review: [item(1), item(2)] })]);
+  await sync({ trigger: "alarm" });
+
+  const [entry] = await env.engine.getSyncLog();
+  assert.equal(entry.trigger, "alarm");
+  assert.equal(entry.outcome, "ok");
+  assert.equal(entry.created, 2);
+  assert.deepEqual(entry.sources.map(s => [s.label, s.count]), [["mine", 1], ["review", 2]]);
+});
+
+test("records a failed sync and keeps the tabs", async () => {
+  const { env, sync, groupTabs } = await setup([[item(1)], new Error("Server on fire")]);
+  await sync();
+  await assert.rejects(sync(), /Server on fire/);
+
+  assert.equal(groupTabs().length, 1);
+  const [entry] = await env.engine.getSyncLog();
+  assert.equal(entry.outcome, "failed");
+  assert.deepEqual([...entry.errors], ["Server on fire"]);
+  assert.equal((await env.engine.getStatus()).g1.error, "Server on fire");
+});
+
+test("records a sync whose queries failed as failed", async () => {
+  const { env, sync, groupTabs } = await setup([[item(1)], fetchResult({ mine: [] }, { failed: ["mine"] })]);
+  await sync();
+  await sync();
+
+  assert.equal(groupTabs().length, 1);
+  const [entry] = await env.engine.getSyncLog();
+  assert.equal(entry.outcome, "failed");
+  assert.deepEqual([...entry.errors], ["mine: Request failed"]);
+});
+
+test("rescheduling keeps a rate limit retry and alarms whose period is unchanged", async () => {
+  const { env } = await setup([[item(1)]]);
+  await addGroup(env, { id: "g2", provider: "scripted", slowWhenIdle: false });
+  const cfg = await env.engine.getCfg();
+  await env.engine.scheduleAlarms(cfg);
+  const retryAt = Date.now() + 30 * 60000;
+  await env.engine.setGroupStatus("g1", { retryAt });
+  await env.engine.scheduleRetry(cfg.groups[0], retryAt);
+  const unchanged = env.alarms.get("sync-g2").scheduledTime;
+
+  env.setIdle("idle");
+  await env.engine.scheduleAlarms(cfg);
+
+  assert.equal(env.alarms.get("sync-g1").scheduledTime, retryAt + 1000);
+  assert.equal(env.alarms.get("sync-g1").periodInMinutes, 20);
+  assert.equal(env.alarms.get("sync-g2").scheduledTime, unchanged);
+});
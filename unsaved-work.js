@@ -0,0 +1,41 @@
+// Live Tab Groups - Unsaved work detection
+// Tells the background script while a page has a half-written comment or
+// review, so the tab isn't pruned and the text lost.
+
+// Text areas the user has typed into, e.g. GitHub's comment and review fields.
+// Hidden edit forms come filled with the viewer's existing comments, so only
+// visible fields whose text differs from what the page loaded with count.
+function hasUnsavedText() {
+  return Array.from(document.querySelectorAll("textarea"))
+    .some(el => !el.disabled && !el.readOnly && el.getClientRects().length > 0 && el.value !== el.defaultValue);
+}
+
+let lastReported = null;
+
+function reportUnsavedWork() {
+  const unsaved = hasUnsavedText();
+  if (unsaved === lastReported) return;
+  lastReported = unsaved;
+  browser.runtime.sendMessage({ action: "setUnsavedWork", unsaved }).catch(() => {});
+}
+
+let pending;
+function scheduleReport() {
+  clearTimeout(pending);
+  pending = setTimeout(reportUnsavedWork, 500);
+}
+
+// Typing, submitting a form and GitHub's in-page navigation can all change it
+document.addEventListener("input", scheduleReport, true);
+document.addEventListener("submit", scheduleReport, true);
+document.addEventListener("reset", scheduleReport, true);
+// The background script forgets the tab's state when its URL changes, so
+// report again after GitHub's in-page navigation even if nothing changed
+function reportAfterNavigation() {
+  lastReported = null;
+  scheduleReport();
+}
+document.addEventListener("turbo:load", reportAfterNavigation);
+window.addEventListener("hashchange", reportAfterNavigation);
+window.addEventListener("popstate", reportAfterNavigation);
+reportUnsavedWork();